@@ -0,0 +1,276 @@
+#!/usr/bin/env python3
+from playwright.sync_api import sync_playwright, Error as PlaywrightError
+from datetime import datetime, timezone
+from os.path import abspath, dirname, join
+from urllib.parse import urlencode
+import argparse, json, os, re, shlex, ssl, subprocess, sys, tempfile, time, urllib.request
+
+rootDir = dirname(abspath(__file__))
+logsDir = join(rootDir, 'logs')
+serverURL = 'https://127.0.0.1:4443'
+
+# The flags that are always passed to each browser so the test suite can play media and run without any interaction
+# (Firefox does not have an equivalent flag, so we set the equivalent preferences in its profile instead)
+defaultArgs = {
+	'chromium': ['--autoplay-policy=no-user-gesture-required'],
+	'firefox': []
+}
+firefoxPrefs = {
+	'media.autoplay.default': 0,
+	'media.autoplay.block-webaudio': False
+}
+
+
+# Performs a GET request against the webserver, ignoring its self-signed TLS certificate
+def server_get(path, timeout=10):
+	context = ssl.create_default_context()
+	context.check_hostname = False
+	context.verify_mode = ssl.CERT_NONE
+	with urllib.request.urlopen(serverURL + path, context=context, timeout=timeout) as response:
+		return response.read().decode('utf-8')
+
+
+# Starts the webserver, along with its TURN relay if requested, and waits for it to accept requests
+def start_server(timeout, turn):
+	server = subprocess.Popen([sys.executable, join(rootDir, 'serve.py')] + (['--turn'] if turn else []), cwd=rootDir)
+	deadline = time.monotonic() + timeout
+	while time.monotonic() < deadline:
+		if server.poll() is not None:
+			raise RuntimeError('the webserver exited with code {}'.format(server.returncode))
+		try:
+			server_get('/static/index.html', timeout=2)
+			return server
+		except Exception:
+			time.sleep(0.5)
+	
+	server.terminate()
+	raise RuntimeError('the webserver did not start within {} seconds'.format(timeout))
+
+
+# Determines whether the configuration query parameters enable the webserver's TURN relay (the transport.localTurn setting)
+# (The parameters are applied in the same order as the test page applies them, so a later profile, JSON configuration or value takes precedence)
+def requires_turn(query):
+	localTurn = False
+	for key, value in query:
+		transport = None
+		if key == 'profile':
+			try:
+				with open(join(rootDir, 'profiles', '{}.json'.format(value)), 'rb') as f:
+					transport = json.loads(f.read().decode('utf-8')).get('transport', {})
+			except (OSError, ValueError, AttributeError):
+				pass
+		elif key == 'config':
+			try:
+				transport = json.loads(value).get('transport', {})
+			except (ValueError, AttributeError):
+				pass
+		elif key == 'transport.localTurn':
+			localTurn = value in ['', 'true', '1']
+		
+		if isinstance(transport, dict) and isinstance(transport.get('localTurn', None), bool):
+			localTurn = transport['localTurn']
+	
+	return localTurn
+
+
+# Builds the URL for the test harness page with the supplied configuration query parameters
+def harness_url(query, resume):
+	params = list(query) + [('autostart', '')]
+	if resume:
+		params.append(('resume', ''))
+	return '{}/static/index.html?{}'.format(serverURL, urlencode(params))
+
+
+# Writes the preferences for a Firefox profile directory
+def write_firefox_prefs(profileDir):
+	with open(join(profileDir, 'user.js'), 'wb') as f:
+		for key, value in firefoxPrefs.items():
+			f.write('user_pref({}, {});\n'.format(json.dumps(key), json.dumps(value)).encode('utf-8'))
+
+
+# Returns a filesystem-friendly name for a browser/flag combination
+def combination_name(browser, flags):
+	slug = re.sub('[^A-Za-z0-9]+', '-', ' '.join(flags)).strip('-')
+	return '{}-{}'.format(browser, slug) if len(slug) > 0 else browser
+
+
+# Runs the test suite in a single browser/flag combination, relaunching the browser and resuming the suite after every crash or hang
+def run_combination(playwright, browser, flags, args):
+	report = {
+		'browser': browser,
+		'flags': flags,
+		'userAgent': None,
+		'session': None,
+		'state': 'running',
+		'error': None,
+		'started': datetime.now(timezone.utc).isoformat(),
+		'finished': None,
+		'crashes': [],
+		'maxima': {},
+		'results': None
+	}
+	
+	# Use a persistent profile directory so the test suite progress stored in localStorage survives browser crashes
+	with tempfile.TemporaryDirectory(prefix='webrtc-limits-') as profileDir:
+		if browser == 'firefox':
+			write_firefox_prefs(profileDir)
+		
+		resume = False
+		while report['state'] == 'running':
+			
+			# Launch the browser and load the test harness page
+			print('[Runner] Launching {} with flags: {}'.format(browser, ' '.join(flags) if len(flags) > 0 else '(none)'), flush=True)
+			context = getattr(playwright, browser).launch_persistent_context(
+				profileDir,
+				headless=(not args.headed),
+				args=defaultArgs[browser] + flags,
+				ignore_https_errors=True
+			)
+			page = context.pages[0] if len(context.pages) > 0 else context.new_page()
+			crashed = []
+			page.on('crash', lambda _: crashed.append('crash'))
+			page.on('close', lambda _: crashed.append('close'))
+			
+			# Poll the page for the status of the test suite until it completes, fails, crashes or hangs
+			status = {}
+			failure = None
+			lastChange = time.monotonic()
+			try:
+				page.goto(harness_url(args.query, resume))
+				report['userAgent'] = page.evaluate('navigator.userAgent')
+				while True:
+					page.wait_for_timeout(args.poll_interval * 1000)
+					if len(crashed) > 0:
+						failure = 'crash'
+						break
+					
+					current = page.evaluate('window.testSuiteStatus') or {}
+					if current != status:
+						status = current
+						lastChange = time.monotonic()
+						if status.get('parameter', None) is not None:
+							print('[Runner] Testing {} = {}'.format(status['parameter'], status['value']), flush=True)
+					
+					if status.get('state', None) in ('complete', 'error'):
+						break
+					elif time.monotonic() - lastChange > args.stall_timeout:
+						failure = 'hang'
+						break
+			
+			except PlaywrightError as err:
+				failure = 'crash' if len(crashed) > 0 or page.is_closed() else 'error: {}'.format(err)
+			
+			# Close the browser, ignoring any errors if it has already crashed
+			try:
+				context.close()
+			except PlaywrightError:
+				pass
+			
+			# Record the outcome
+			report['session'] = status.get('session', report['session'])
+			report['maxima'] = status.get('maxima', report['maxima'])
+			if failure is None:
+				report['state'] = status['state']
+				report['error'] = status.get('error', None)
+			elif failure in ('crash', 'hang'):
+				
+				# Record the value that was being tested as the failing value and resume the test suite where it stopped
+				report['crashes'].append({
+					'type': failure,
+					'parameter': status.get('parameter', None),
+					'value': status.get('value', None),
+					'timestamp': datetime.now(timezone.utc).isoformat()
+				})
+				print('[Runner] Browser {} while testing {} = {}'.format(
+					'crashed' if failure == 'crash' else 'stopped responding',
+					status.get('parameter', None),
+					status.get('value', None)
+				), flush=True)
+				
+				resume = True
+				if len(report['crashes']) > args.max_crashes:
+					report['state'] = 'error'
+					report['error'] = 'exceeded the maximum of {} browser crashes'.format(args.max_crashes)
+			else:
+				report['state'] = 'error'
+				report['error'] = failure
+	
+	# Retrieve the structured results for the session from the webserver
+	report['finished'] = datetime.now(timezone.utc).isoformat()
+	if report['session'] is not None:
+		try:
+			report['results'] = json.loads(server_get('/results/{}'.format(report['session'])))
+		except Exception as err:
+			print('[Runner] Failed to retrieve results for session {}: {}'.format(report['session'], err), flush=True)
+	
+	return report
+
+
+# Parses the command-line arguments
+def parse_args():
+	parser = argparse.ArgumentParser(description='Runs the WebRTC limits test suite in headless browsers and collects the results')
+	parser.add_argument('--browser', action='append', choices=['chromium', 'firefox'], help='a browser to test (can be repeated, defaults to chromium)')
+	parser.add_argument('--flags', action='append', help='a space-separated set of browser flags to test as a combination, e.g. --flags="--no-sandbox" (can be repeated, defaults to no extra flags)')
+	parser.add_argument('--profile', help='the name of a configuration profile hosted by the webserver')
+	parser.add_argument('--config', help='a configuration object as a JSON string')
+	parser.add_argument('--set', action='append', default=[], metavar='KEY=VALUE', help='an individual configuration value, e.g. synthetic.width=640 (can be repeated)')
+	parser.add_argument('--output', default=join(logsDir, 'reports'), help='the directory in which reports are written')
+	parser.add_argument('--poll-interval', type=float, default=2.0, help='the interval in seconds between polls of the test suite status')
+	parser.add_argument('--stall-timeout', type=float, default=900.0, help='the number of seconds without progress after which the browser is considered to have hung')
+	parser.add_argument('--max-crashes', type=int, default=20, help='the maximum number of browser crashes before a combination is abandoned')
+	parser.add_argument('--headed', action='store_true', help='show the browser windows instead of running headless')
+	parser.add_argument('--no-server', action='store_true', help='use an already-running webserver instead of starting one')
+	parser.add_argument('--turn', action='store_true', help='start the webserver with its TURN relay (implied when the configuration sets transport.localTurn)')
+	args = parser.parse_args()
+	
+	# Build the configuration query parameters
+	args.query = []
+	if args.profile is not None:
+		args.query.append(('profile', args.profile))
+	if args.config is not None:
+		args.query.append(('config', args.config))
+	for setting in args.set:
+		key, _, value = setting.partition('=')
+		args.query.append((key, value))
+	
+	return args
+
+
+# Runs the test suite for every browser/flag combination and writes a report for each
+def main():
+	args = parse_args()
+	browsers = args.browser if args.browser is not None else ['chromium']
+	flagSets = [shlex.split(flags) for flags in args.flags] if args.flags is not None else [[]]
+	os.makedirs(args.output, exist_ok=True)
+	
+	# Start the webserver unless one is already running
+	server = start_server(30, args.turn or requires_turn(args.query)) if not args.no_server else None
+	try:
+		with sync_playwright() as playwright:
+			for browser in browsers:
+				for flags in flagSets:
+					
+					# Run the test suite and write the report
+					report = run_combination(playwright, browser, flags, args)
+					path = join(args.output, '{}-{}.json'.format(
+						datetime.now(timezone.utc).strftime('%Y%m%dT%H%M%SZ'),
+						combination_name(browser, flags)
+					))
+					with open(path, 'wb') as f:
+						f.write(json.dumps(report, indent=2).encode('utf-8'))
+					
+					# Print a summary of the outcome
+					print('[Runner] {} finished with state "{}" and {} crash(es), maxima: {}'.format(
+						combination_name(browser, flags),
+						report['state'],
+						len(report['crashes']),
+						json.dumps(report['maxima'])
+					), flush=True)
+					print('[Runner] Report written to {}'.format(path), flush=True)
+	finally:
+		if server is not None:
+			server.terminate()
+			server.wait()
+
+if __name__ == '__main__':
+	main()
@@ -1,55 +1,515 @@
 #!/usr/bin/env python3
-from flask import Flask, abort, redirect, request, url_for
-from os.path import abspath, dirname, join
+from flask import Flask, abort, jsonify, redirect, request, url_for
+from argparse import ArgumentParser
+from datetime import datetime, timezone
+from glob import glob
+from os.path import abspath, basename, dirname, exists, join
+from threading import Condition, Lock
 from uuid import uuid4
-import sys
+from turn import TurnRelay
+import json, re, sys, time
 
 rootDir = dirname(abspath(__file__))
 logsDir = join(rootDir, 'logs')
+baselinesPath = join(logsDir, 'baselines.json')
+profilesDir = join(rootDir, 'profiles')
 app = Flask(__name__)
+resultsLock = Lock()
 
+# The pending messages for each role in each signaling room, and the condition variable used to wake long-poll requests
+# (Rooms are removed once the answerer receives the message announcing that the test suite is complete, or after being idle for the room timeout in seconds)
+signalingRooms = {}
+signalingCondition = Condition()
+signalingRoles = ('offerer', 'answerer')
+signalingTypes = ('run', 'description', 'candidate', 'done')
+signalingPollTimeout = 25
+signalingRoomTimeout = 600
 
-# Appends a log message to the log file for a specific session
-def append_log(sessionID, message):
-	with open(join(logsDir, '{}.txt'.format(sessionID)), 'ab') as f:
-		f.write(message.encode('utf-8'))
+# The levels that may be specified for log entries, and the maximum number of entries accepted in a single request
+logLevels = ('debug', 'info', 'warning', 'error')
+logBatchLimit = 1000
+
+# The optional TURN relay, which is only started when the --turn flag is specified
+turnRelay = None
+
+
+# Appends structured log entries to the JSON Lines log file for a specific session, stamping each with the time it was received
+def append_log(sessionID, entries):
+	received = datetime.now(timezone.utc).isoformat()
+	with open(join(logsDir, '{}.log.jsonl'.format(sessionID)), 'ab') as f:
+		for entry in entries:
+			f.write((json.dumps(dict(entry, received=received)) + '\n').encode('utf-8'))
+
+
+# Validates a log entry submitted by a client, returning the entry with only the expected fields or None if it is malformed
+def parse_log_entry(entry):
+	if not isinstance(entry, dict) or not isinstance(entry.get('message', None), str) or entry.get('level', None) not in logLevels:
+		return None
+	
+	return {
+		'timestamp': entry['timestamp'] if isinstance(entry.get('timestamp', None), str) else None,
+		'level': entry['level'],
+		'source': entry['source'] if isinstance(entry.get('source', None), str) else None,
+		'message': entry['message'],
+		'append': entry.get('append', False) is True
+	}
+
+
+# Determines whether a session ID is well-formed (this also prevents path traversal when using session IDs as filenames)
+def is_valid_session(sessionID):
+	return isinstance(sessionID, str) and re.fullmatch('[0-9a-f]{32}', sessionID) is not None
+
+
+# Determines whether a session ID was issued by this webserver, which is the case if its results document exists
+# (The results document is created when the session is issued, so sessions remain valid if the webserver is restarted)
+def is_known_session(sessionID):
+	return is_valid_session(sessionID) and exists(results_path(sessionID))
+
+
+# Returns the path to the JSON results document for a specific session
+def results_path(sessionID):
+	return join(logsDir, '{}.json'.format(sessionID))
+
+
+# Returns the path to the test suite progress file for a specific session
+def progress_path(sessionID):
+	return join(logsDir, '{}.progress.json'.format(sessionID))
+
+
+# Loads the JSON results document for a specific session, creating an empty document if none exists yet
+def load_results(sessionID):
+	path = results_path(sessionID)
+	if exists(path):
+		with open(path, 'rb') as f:
+			return json.loads(f.read().decode('utf-8'))
+	else:
+		return {
+			'session': sessionID,
+			'userAgent': None,
+			'created': datetime.now(timezone.utc).isoformat(),
+			'results': [],
+			'summary': {}
+		}
+
+
+# Writes the JSON results document for a specific session
+def save_results(sessionID, document):
+	with open(results_path(sessionID), 'wb') as f:
+		f.write(json.dumps(document, indent=2).encode('utf-8'))
+
+
+# Appends result records to the JSON results document for a specific session and merges in any summary values
+def update_results(sessionID, records, summary):
+	with resultsLock:
+		document = load_results(sessionID)
+		document['results'].extend(records)
+		document['summary'].update(summary)
+		save_results(sessionID, document)
+
+
+# Returns the user-agent family of a user agent string, namely its browser and operating system without their versions
+# (Browsers and operating systems are checked in order, since Chromium-based user agents also contain "Chrome" and "Safari",
+# Android user agents also contain "Linux", and iOS user agents also contain "Mac OS X")
+def user_agent_family(userAgent):
+	browsers = (('Edge', 'Edg/'), ('Opera', 'OPR/'), ('Firefox', 'Firefox/'), ('Chrome', 'Chrome/'), ('Safari', 'Version/.*Safari/'))
+	systems = (('Android', 'Android'), ('iOS', 'iPhone|iPad'), ('Windows', 'Windows'), ('macOS', 'Mac OS X'), ('Linux', 'Linux'))
+	browser = next((name for name, pattern in browsers if re.search(pattern, userAgent or '') is not None), 'Unknown browser')
+	system = next((name for name, pattern in systems if re.search(pattern, userAgent or '') is not None), 'unknown OS')
+	return '{} on {}'.format(browser, system)
+
+
+# Loads the baseline session for each user-agent family
+# (The caller must hold the results lock)
+def load_baselines():
+	if exists(baselinesPath):
+		with open(baselinesPath, 'rb') as f:
+			return json.loads(f.read().decode('utf-8'))
+	else:
+		return {}
+
+
+# Summarises the pass rate and mean duration of the passing runs of each tested value of each parameter in a results document, keyed by (parameter, value)
+def summarise_values(document):
+	values = {}
+	for record in document.get('results', []):
+		if record.get('parameter', None) is None or record.get('value', None) is None:
+			continue
+		
+		entry = values.setdefault((record['parameter'], record['value']), {'runs': 0, 'passes': 0, 'durations': []})
+		entry['runs'] += 1
+		entry['passes'] += 1 if record.get('passed', False) is True else 0
+		if record.get('passed', False) is True and isinstance(record.get('duration', None), (int, float)):
+			entry['durations'].append(record['duration'])
+	
+	return {
+		key: {
+			'runs': entry['runs'],
+			'passRate': entry['passes'] / entry['runs'],
+			'duration': sum(entry['durations']) / len(entry['durations']) if len(entry['durations']) > 0 else None
+		}
+		for key, entry in values.items()
+	}
+
+
+# Compares the maxima, pass rates and durations of a session against the baseline for its user-agent family
+# (A maximum regresses if it falls by more than the tolerance as a fraction of the baseline, a pass rate regresses if it falls by
+# more than the tolerance, and a duration regresses if it grows by more than the tolerance as a fraction of the baseline)
+# (The caller must hold the results lock)
+def build_report(sessionID, tolerance):
+	document = load_results(sessionID)
+	family = user_agent_family(document.get('userAgent', None))
+	baseline = load_baselines().get(family, None)
+	report = {
+		'session': sessionID,
+		'userAgent': document.get('userAgent', None),
+		'family': family,
+		'tolerance': tolerance,
+		'baseline': baseline,
+		'maxima': [],
+		'values': [],
+		'regressions': 0
+	}
+	
+	# There is nothing to compare if the family has no baseline or the session is the baseline itself
+	if baseline is None or baseline['session'] == sessionID or not exists(results_path(baseline['session'])):
+		return report
+	
+	# Compare the maximum identified for each parameter
+	reference = load_results(baseline['session'])
+	currentMaxima = document.get('summary', {}).get('maxima', {})
+	baselineMaxima = reference.get('summary', {}).get('maxima', {})
+	for parameter in list(currentMaxima.keys()) + [p for p in baselineMaxima.keys() if p not in currentMaxima]:
+		current = currentMaxima.get(parameter, None)
+		previous = baselineMaxima.get(parameter, None)
+		comparable = current is not None and previous is not None
+		report['maxima'].append({
+			'parameter': parameter,
+			'baseline': previous,
+			'current': current,
+			'change': (current - previous) / previous if comparable and previous > 0 else None,
+			'regression': comparable and current < previous * (1 - tolerance)
+		})
+	
+	# Compare the pass rate and mean duration of each value tested in both sessions
+	currentValues = summarise_values(document)
+	baselineValues = summarise_values(reference)
+	for key in sorted(k for k in currentValues.keys() if k in baselineValues):
+		current = currentValues[key]
+		previous = baselineValues[key]
+		timed = current['duration'] is not None and previous['duration'] is not None and previous['duration'] > 0
+		report['values'].append({
+			'parameter': key[0],
+			'value': key[1],
+			'baseline': previous,
+			'current': current,
+			'passRateChange': current['passRate'] - previous['passRate'],
+			'durationChange': (current['duration'] - previous['duration']) / previous['duration'] if timed else None,
+			'regression': current['passRate'] < previous['passRate'] - tolerance or (timed and current['duration'] > previous['duration'] * (1 + tolerance))
+		})
+	
+	report['regressions'] = len([entry for entry in report['maxima'] + report['values'] if entry['regression']])
+	return report
+
+
+# Determines whether a signaling room name or profile name is well-formed (this also prevents path traversal when using profile names as filenames)
+def is_valid_name(name):
+	return re.fullmatch('[A-Za-z0-9_-]{1,64}', name) is not None
+
+
+# Returns the path to the JSON file for a specific test suite configuration profile
+def profile_path(name):
+	return join(profilesDir, '{}.json'.format(name))
+
+
+# Returns the queue of pending messages for a specific role in a signaling room, creating the room if it does not exist yet and
+# removing any rooms that have been idle for longer than the room timeout (the caller must hold the signaling condition variable's lock)
+def signaling_queue(room, role):
+	now = time.monotonic()
+	for name in [name for name, entry in signalingRooms.items() if now - entry['active'] > signalingRoomTimeout]:
+		del signalingRooms[name]
+	
+	entry = signalingRooms.setdefault(room, {'active': now, 'queues': {r: [] for r in signalingRoles}})
+	entry['active'] = now
+	return entry['queues'][role]
+
+
+# Determines whether a list of signaling messages includes the run message announcing that the test suite is complete
+def is_suite_complete(messages):
+	return any(m['type'] == 'run' and isinstance(m['data'], dict) and m['data'].get('complete', False) is True for m in messages)
+
+
+# Serves every response with the headers that make the test harness cross-origin isolated, which is required in order to measure the
+# memory used by the page with performance.measureUserAgentSpecificMemory() when checking for leaks
+# (Scripts loaded from CDNs must therefore be requested with CORS, using the crossorigin attribute)
+@app.after_request
+def add_isolation_headers(response):
+	response.headers['Cross-Origin-Opener-Policy'] = 'same-origin'
+	response.headers['Cross-Origin-Embedder-Policy'] = 'require-corp'
+	return response
 
 
 # Generates a new session ID for use when submitting log messages
 @app.route('/session')
 def session():
 	
-	# Generate a new session ID and log the user agent for the session
+	# Generate a new session ID and create the results document for the session, which marks it as issued
 	sessionID = uuid4().hex
-	append_log(sessionID, '[New session with ID {} and user-agent: "{}"]'.format(
-		sessionID,
-		request.user_agent
-	))
+	with resultsLock:
+		document = load_results(sessionID)
+		document['userAgent'] = str(request.user_agent)
+		save_results(sessionID, document)
+	
+	# Log the user agent for the session
+	append_log(sessionID, [{
+		'timestamp': document['created'],
+		'level': 'info',
+		'source': 'server',
+		'message': 'New session with ID {} and user-agent: "{}"'.format(sessionID, request.user_agent),
+		'append': False
+	}])
 	
 	# Send the session ID back to the client
 	return sessionID
 
-# Receives log messages and appends them to the log file for the client's session
+# Receives a batch of structured log entries and appends them to the log file for the client's session
+# (Batches are also sent with navigator.sendBeacon() when the page is hidden, so the request body is parsed regardless of its content type)
 @app.route('/log', methods=['POST'])
 def log():
 	
 	# Extract the request JSON data
-	data = request.get_json()
+	data = request.get_json(force=True, silent=True)
+	if not isinstance(data, dict):
+		abort(400)
+	
+	# Verify that the session was issued by us and that every entry is well-formed
 	sessionID = data.get('session', None)
-	message = data.get('message', None)
+	entries = data.get('entries', None)
+	if not is_known_session(sessionID) or not isinstance(entries, list) or len(entries) > logBatchLimit:
+		abort(400)
 	
-	# Verify that both a session ID and a message were specified
-	if sessionID is not None and message is not None:
-		append_log(sessionID, message)
+	parsed = [parse_log_entry(entry) for entry in entries]
+	if None in parsed:
+		abort(400)
+	
+	append_log(sessionID, parsed)
+	return ''
+
+# Receives structured result records (and optional summary values) and stores them in the results document for the client's session
+@app.route('/results', methods=['POST'])
+def post_results():
+	
+	# Extract the request JSON data
+	data = request.get_json(silent=True)
+	if not isinstance(data, dict):
+		abort(400)
+	sessionID = data.get('session', None)
+	records = data.get('results', [])
+	summary = data.get('summary', {})
+	
+	# Verify that the session was issued by us and that the records and summary are of the expected types
+	if is_known_session(sessionID) and isinstance(records, list) and isinstance(summary, dict):
+		update_results(sessionID, records, summary)
+		return ''
+	else:
+		abort(400)
+
+# Receives the progress of the client's test suite and stores it so an interrupted suite can be inspected or resumed
+@app.route('/progress', methods=['POST'])
+def post_progress():
+	
+	# Extract the request JSON data
+	data = request.get_json(silent=True)
+	if not isinstance(data, dict):
+		abort(400)
+	sessionID = data.get('session', None)
+	progress = data.get('progress', None)
+	
+	# Verify that the session was issued by us and that progress was specified
+	if is_known_session(sessionID) and isinstance(progress, dict):
+		with open(progress_path(sessionID), 'wb') as f:
+			f.write(json.dumps(progress, indent=2).encode('utf-8'))
 		return ''
 	else:
 		abort(400)
 
+# Retrieves the most recently stored test suite progress for a specific session
+@app.route('/progress/<sessionID>')
+def get_progress(sessionID):
+	if is_valid_session(sessionID) and exists(progress_path(sessionID)):
+		with open(progress_path(sessionID), 'rb') as f:
+			return jsonify(json.loads(f.read().decode('utf-8')))
+	else:
+		abort(404)
+
+# Retrieves the results document for a specific session
+@app.route('/results/<sessionID>')
+def get_results(sessionID):
+	if is_valid_session(sessionID) and exists(results_path(sessionID)):
+		with resultsLock:
+			return jsonify(load_results(sessionID))
+	else:
+		abort(404)
+
+# Summarises every session with a results document, newest first, for the results dashboard
+# (Sessions without any records are skipped, since a results document is created whenever a session is issued to a page load)
+@app.route('/sessions')
+def get_sessions():
+	sessions = []
+	with resultsLock:
+		baselines = [baseline['session'] for baseline in load_baselines().values()]
+	for path in glob(join(logsDir, '*.json')):
+		sessionID = basename(path)[:-len('.json')]
+		if is_valid_session(sessionID):
+			
+			# Skip any results document that is being written or has been corrupted by an interrupted write
+			try:
+				with resultsLock:
+					document = load_results(sessionID)
+			except ValueError:
+				continue
+			
+			if len(document.get('results', [])) == 0:
+				continue
+			
+			sessions.append({
+				'session': sessionID,
+				'userAgent': document.get('userAgent', None),
+				'family': user_agent_family(document.get('userAgent', None)),
+				'created': document.get('created', None),
+				'records': len(document.get('results', [])),
+				'maxima': document.get('summary', {}).get('maxima', {}),
+				'baseline': sessionID in baselines
+			})
+	
+	sessions.sort(key=lambda s: s['created'] or '', reverse=True)
+	return jsonify(sessions)
+
+# Retrieves the baseline session for each user-agent family
+@app.route('/baselines')
+def get_baselines():
+	with resultsLock:
+		return jsonify(load_baselines())
+
+# Marks a session as the baseline for its user-agent family, replacing any previous baseline for the family
+@app.route('/baselines/<sessionID>', methods=['POST'])
+def post_baseline(sessionID):
+	if is_known_session(sessionID):
+		with resultsLock:
+			document = load_results(sessionID)
+			baselines = load_baselines()
+			baselines[user_agent_family(document.get('userAgent', None))] = {
+				'session': sessionID,
+				'userAgent': document.get('userAgent', None),
+				'created': document.get('created', None),
+				'marked': datetime.now(timezone.utc).isoformat()
+			}
+			with open(baselinesPath, 'wb') as f:
+				f.write(json.dumps(baselines, indent=2).encode('utf-8'))
+		return jsonify(baselines)
+	else:
+		abort(404)
+
+# Retrieves the comparison of a session against the baseline for its user-agent family, with the tolerance specified by the "tolerance" query parameter
+@app.route('/report/<sessionID>')
+def get_report(sessionID):
+	tolerance = request.args.get('tolerance', 0.1, type=float)
+	if is_known_session(sessionID) and tolerance >= 0:
+		with resultsLock:
+			return jsonify(build_report(sessionID, tolerance))
+	else:
+		abort(404)
+
+# Receives a signaling message from the peer with the specified role and queues it for the other peer in the room
+@app.route('/signal/<room>/<role>', methods=['POST'])
+def post_signal(room, role):
+	
+	# Extract the request JSON data
+	data = request.get_json()
+	
+	# Verify that the room, role and message type are valid
+	if is_valid_name(room) and role in signalingRoles and isinstance(data, dict) and data.get('type', None) in signalingTypes:
+		recipient = 'answerer' if role == 'offerer' else 'offerer'
+		with signalingCondition:
+			signaling_queue(room, recipient).append({
+				'type': data['type'],
+				'run': data.get('run', None),
+				'data': data.get('data', None)
+			})
+			signalingCondition.notify_all()
+		return ''
+	else:
+		abort(400)
+
+# Long-polls for the signaling messages queued for the peer with the specified role, returning an empty list if none arrive before the timeout
+@app.route('/signal/<room>/<role>')
+def get_signal(room, role):
+	if is_valid_name(room) and role in signalingRoles:
+		with signalingCondition:
+			queue = signaling_queue(room, role)
+			signalingCondition.wait_for(lambda: len(queue) > 0, timeout=signalingPollTimeout)
+			messages = list(queue)
+			queue.clear()
+			
+			# Remove the room once the test suite is complete and neither peer has any messages left to receive
+			entry = signalingRooms.get(room, None)
+			if is_suite_complete(messages) and entry is not None and all(len(q) == 0 for q in entry['queues'].values()):
+				del signalingRooms[room]
+		return jsonify(messages)
+	else:
+		abort(400)
+
+# Retrieves a test suite configuration profile
+@app.route('/profiles/<name>')
+def get_profile(name):
+	if is_valid_name(name) and exists(profile_path(name)):
+		with open(profile_path(name), 'rb') as f:
+			return jsonify(json.loads(f.read().decode('utf-8')))
+	else:
+		abort(404)
+
+# Receives a test suite configuration profile and stores it so it can be loaded by specifying its name in the "profile" query parameter
+@app.route('/profiles/<name>', methods=['POST'])
+def post_profile(name):
+	
+	# Extract the request JSON data
+	profile = request.get_json()
+	
+	# Verify that the profile name is valid and that the profile is a configuration object
+	if is_valid_name(name) and isinstance(profile, dict):
+		with open(profile_path(name), 'wb') as f:
+			f.write(json.dumps(profile, indent=2).encode('utf-8'))
+		return ''
+	else:
+		abort(400)
+
+# Retrieves the ICE server entry for our TURN relay, if it is running
+@app.route('/turn')
+def get_turn():
+	if turnRelay is not None:
+		return jsonify(turnRelay.ice_server())
+	else:
+		abort(404)
+
 # Redirect the root URL to the index page
 @app.route('/')
 def index():
 	return redirect(url_for('static', filename='index.html'))
 
-# Server over HTTPS on port 4443
+# Redirect the dashboard URL to the results dashboard page
+@app.route('/dashboard')
+def dashboard():
+	return redirect(url_for('static', filename='dashboard.html'))
+
+# Server over HTTPS on port 4443, optionally starting a TURN relay with a random password so relay-only limits can be tested on this machine
+# (Requests are handled in separate threads so that long-poll signaling requests do not block other requests)
 if __name__ == '__main__':
-	app.run('127.0.0.1', 4443, ssl_context=('cert.pem', 'key.pem'))
+	parser = ArgumentParser(description='Webserver for the WebRTC limits test harness')
+	parser.add_argument('--turn', action='store_true', help='start a TURN relay that the test harness can use for relay-only testing')
+	parser.add_argument('--turn-port', type=int, default=3478, help='the UDP port for the TURN relay to listen on')
+	args = parser.parse_args()
+	if args.turn:
+		turnRelay = TurnRelay('127.0.0.1', args.turn_port, 'webrtc', uuid4().hex)
+		turnRelay.start()
+		print('TURN relay listening on {}'.format(turnRelay.ice_server()['urls'][0]))
+	
+	app.run('127.0.0.1', 4443, ssl_context=('cert.pem', 'key.pem'), threaded=True)
@@ -0,0 +1,124 @@
+'use strict';
+
+
+// Retrieves and renders the comparison of a session against the baseline session for its user-agent family
+// (The webserver computes the comparison, so this is only available when the Python webserver is used to serve the test page)
+class BaselineReport
+{
+	// Retrieves the comparison of the specified session against its baseline, flagging regressions beyond the specified tolerance
+	static async fetch(sessionID, tolerance)
+	{
+		let response = await fetch(`/report/${sessionID}?tolerance=${encodeURIComponent(tolerance)}`);
+		if (response.ok === false) {
+			throw new Error(`failed to retrieve the baseline comparison from the webserver (status ${response.status})`);
+		}
+		
+		return await response.json();
+	}
+	
+	// Marks the specified session as the baseline for its user-agent family
+	static async mark(sessionID)
+	{
+		let response = await fetch(`/baselines/${sessionID}`, {method: 'POST'});
+		if (response.ok === false) {
+			throw new Error(`failed to mark the session as a baseline (status ${response.status})`);
+		}
+		
+		return await response.json();
+	}
+	
+	// Returns a one-line description of the outcome of a comparison
+	static describe(report)
+	{
+		if (report['baseline'] === null) {
+			return `There is no baseline for ${report['family']} to compare against.`;
+		}
+		else if (report['baseline']['session'] === report['session']) {
+			return `This session is the baseline for ${report['family']}.`;
+		}
+		
+		let regressions = report['regressions'];
+		return `Compared against the ${report['family']} baseline ${report['baseline']['session'].slice(0, 8)}: ${(regressions > 0) ? `${regressions} regression${(regressions !== 1) ? 's' : ''}` : 'no regressions'} beyond a tolerance of ${BaselineReport._percentage(report['tolerance'])}.`;
+	}
+	
+	// Renders a comparison into the supplied DOM element as a table of maxima and a table of per-value pass rates and durations,
+	// highlighting the rows that regressed
+	static render(container, report)
+	{
+		let contents = [BaselineReport._html('p', BaselineReport.describe(report))];
+		if (report['maxima'].length > 0)
+		{
+			contents.push(BaselineReport._table(
+				['Parameter', 'Baseline maximum', 'Maximum', 'Change'],
+				report['maxima'].map((m) => [
+					m['parameter'],
+					BaselineReport._value(m['baseline']),
+					BaselineReport._value(m['current']),
+					BaselineReport._percentage(m['change'])
+				]),
+				report['maxima']
+			));
+		}
+		if (report['values'].length > 0)
+		{
+			contents.push(BaselineReport._table(
+				['Parameter', 'Value', 'Baseline pass rate', 'Pass rate', 'Baseline mean duration of passing runs (seconds)', 'Mean duration of passing runs (seconds)', 'Change in duration'],
+				report['values'].map((v) => [
+					v['parameter'],
+					v['value'],
+					BaselineReport._percentage(v['baseline']['passRate']),
+					BaselineReport._percentage(v['current']['passRate']),
+					BaselineReport._seconds(v['baseline']['duration']),
+					BaselineReport._seconds(v['current']['duration']),
+					BaselineReport._percentage(v['durationChange'])
+				]),
+				report['values']
+			));
+		}
+		
+		container.replaceChildren(...contents);
+	}
+	
+	// Builds a table with the supplied column headings and rows, highlighting the rows whose corresponding entry regressed
+	static _table(headings, rows, entries)
+	{
+		let table = document.createElement('table');
+		table.className = 'baseline-table';
+		table.createTHead().insertRow().append(...headings.map((heading) => BaselineReport._html('th', heading)));
+		
+		let body = table.createTBody();
+		rows.forEach((row, index) =>
+		{
+			let tr = body.insertRow();
+			tr.className = (entries[index]['regression'] === true) ? 'baseline-regression' : '';
+			for (let cell of row) {
+				tr.insertCell().textContent = `${cell}`;
+			}
+		});
+		
+		return table;
+	}
+	
+	// Formats a value that may be missing from one of the sessions
+	static _value(value) {
+		return (value !== null && value !== undefined) ? `${value}` : '-';
+	}
+	
+	// Formats a fraction as a percentage
+	static _percentage(fraction) {
+		return (fraction !== null && fraction !== undefined) ? `${(fraction * 100).toFixed(1)}%` : '-';
+	}
+	
+	// Formats a duration in seconds
+	static _seconds(duration) {
+		return (duration !== null && duration !== undefined) ? duration.toFixed(2) : '-';
+	}
+	
+	// Creates an HTML element with the specified text contents
+	static _html(name, text)
+	{
+		let elem = document.createElement(name);
+		elem.textContent = text;
+		return elem;
+	}
+}
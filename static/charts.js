@@ -0,0 +1,181 @@
+'use strict';
+
+
+// Renders simple line charts as inline SVG elements, so that results can be plotted without loading any external charting library
+// (A chart has a `title`, an `xLabel` and `yLabel`, an optional `logX` flag for a base-2 logarithmic x axis, and a list of `series`,
+// each with a `name` and a list of [x, y] points, where the line for each series passes through the mean y value at each x value)
+// (Only the plain DOM API is used, so that the results dashboard can render charts without loading jQuery from a CDN)
+class SvgChart
+{
+	// The colours used for each series, in order
+	static palette() {
+		return ['#1f77b4', '#ff7f0e', '#2ca02c', '#d62728', '#9467bd', '#8c564b', '#e377c2', '#7f7f7f', '#bcbd22', '#17becf'];
+	}
+	
+	// Renders the supplied list of charts in the supplied container element, replacing its existing contents
+	static render(container, charts) {
+		container.replaceChildren(...charts.map((chart) => SvgChart.create(chart)));
+	}
+	
+	// Creates the element for a single chart, consisting of its title, the SVG plot and a legend
+	static create(chart)
+	{
+		const width = 640;
+		const height = 320;
+		const margin = {'left': 64, 'right': 16, 'top': 16, 'bottom': 48};
+		const plotWidth = width - margin['left'] - margin['right'];
+		const plotHeight = height - margin['top'] - margin['bottom'];
+		
+		let figure = SvgChart._html('div', 'svg-chart');
+		figure.append(SvgChart._html('p', 'svg-chart-title', chart['title']));
+		
+		// Determine the range of our data, ignoring any series without points
+		let series = chart['series'].filter((s) => s['points'].length > 0);
+		let points = series.flatMap((s) => s['points']);
+		if (points.length === 0)
+		{
+			figure.append(SvgChart._html('p', null, 'No data available.'));
+			return figure;
+		}
+		
+		// A logarithmic x axis can only be used if every x value is positive
+		let logX = (chart['logX'] === true && points.every((p) => p[0] > 0));
+		const project = (x) => logX ? Math.log2(x) : x;
+		let xMin = Math.min(...points.map((p) => project(p[0])));
+		let xMax = Math.max(...points.map((p) => project(p[0])));
+		if (xMin === xMax)
+		{
+			xMin -= 1;
+			xMax += 1;
+		}
+		
+		// The y axis always starts at zero and extends to the first tick above the largest value
+		let yTicks = SvgChart._ticks(0, Math.max(...points.map((p) => p[1]), 1), 5);
+		let yMax = yTicks[yTicks.length - 1];
+		
+		// Maps data coordinates to SVG coordinates
+		const scaleX = (x) => margin['left'] + ((project(x) - xMin) / (xMax - xMin)) * plotWidth;
+		const scaleY = (y) => margin['top'] + plotHeight - (y / yMax) * plotHeight;
+		
+		let svg = SvgChart._element('svg', {'width': width, 'height': height, 'viewBox': `0 0 ${width} ${height}`});
+		
+		// Draw the horizontal grid lines and y axis labels
+		for (let tick of yTicks)
+		{
+			svg.appendChild(SvgChart._element('line', {'x1': margin['left'], 'x2': width - margin['right'], 'y1': scaleY(tick), 'y2': scaleY(tick), 'class': 'svg-chart-grid'}));
+			svg.appendChild(SvgChart._text(SvgChart._format(tick), {'x': margin['left'] - 6, 'y': scaleY(tick) + 4, 'text-anchor': 'end'}));
+		}
+		
+		// Draw the x axis labels (powers of two for a logarithmic axis)
+		let xTicks = logX ?
+			SvgChart._ticks(Math.floor(xMin), Math.ceil(xMax), 10).filter((t) => Number.isInteger(t)).map((t) => Math.pow(2, t)) :
+			SvgChart._ticks(xMin, xMax, 10);
+		for (let tick of xTicks.filter((t) => project(t) >= xMin && project(t) <= xMax))
+		{
+			svg.appendChild(SvgChart._element('line', {'x1': scaleX(tick), 'x2': scaleX(tick), 'y1': margin['top'] + plotHeight, 'y2': margin['top'] + plotHeight + 4, 'class': 'svg-chart-axis'}));
+			svg.appendChild(SvgChart._text(SvgChart._format(tick), {'x': scaleX(tick), 'y': margin['top'] + plotHeight + 18, 'text-anchor': 'middle'}));
+		}
+		
+		// Draw the axes and their labels
+		svg.appendChild(SvgChart._element('line', {'x1': margin['left'], 'x2': width - margin['right'], 'y1': margin['top'] + plotHeight, 'y2': margin['top'] + plotHeight, 'class': 'svg-chart-axis'}));
+		svg.appendChild(SvgChart._element('line', {'x1': margin['left'], 'x2': margin['left'], 'y1': margin['top'], 'y2': margin['top'] + plotHeight, 'class': 'svg-chart-axis'}));
+		svg.appendChild(SvgChart._text(chart['xLabel'], {'x': margin['left'] + plotWidth / 2, 'y': height - 8, 'text-anchor': 'middle'}));
+		svg.appendChild(SvgChart._text(chart['yLabel'], {'x': -(margin['top'] + plotHeight / 2), 'y': 14, 'text-anchor': 'middle', 'transform': 'rotate(-90)'}));
+		
+		// Draw each series, along with its entry in the legend
+		let legend = SvgChart._html('ul', 'svg-chart-legend');
+		series.forEach((s, index) =>
+		{
+			let colour = SvgChart.palette()[index % SvgChart.palette().length];
+			
+			// Draw the line through the mean value at each x value
+			let groups = new Map();
+			for (let point of s['points']) {
+				groups.set(point[0], (groups.get(point[0]) || []).concat([point[1]]));
+			}
+			let line = Array.from(groups.entries())
+				.sort((a, b) => a[0] - b[0])
+				.map(([x, ys]) => `${scaleX(x)},${scaleY(ys.reduce((sum, y) => sum + y, 0) / ys.length)}`);
+			svg.appendChild(SvgChart._element('polyline', {'points': line.join(' '), 'fill': 'none', 'stroke': colour, 'stroke-width': 2}));
+			
+			// Draw each individual point, with a tooltip describing its value
+			for (let point of s['points'])
+			{
+				let circle = SvgChart._element('circle', {'cx': scaleX(point[0]), 'cy': scaleY(point[1]), 'r': 3, 'fill': colour});
+				let title = SvgChart._element('title', {});
+				title.textContent = `${s['name']}: ${SvgChart._format(point[1])} at ${point[0]}`;
+				circle.appendChild(title);
+				svg.appendChild(circle);
+			}
+			
+			let swatch = SvgChart._html('span', 'svg-chart-swatch');
+			swatch.style.backgroundColor = colour;
+			let item = SvgChart._html('li', null, s['name']);
+			item.prepend(swatch);
+			legend.append(item);
+		});
+		
+		figure.append(svg);
+		figure.append(legend);
+		return figure;
+	}
+	
+	// Returns evenly-spaced tick values with a "nice" step size (1, 2 or 5 times a power of ten) spanning the specified range
+	static _ticks(min, max, count)
+	{
+		let step = Math.pow(10, Math.floor(Math.log10((max - min) / count)));
+		for (let multiple of [1, 2, 5, 10])
+		{
+			if ((max - min) / (step * multiple) <= count)
+			{
+				step *= multiple;
+				break;
+			}
+		}
+		
+		let ticks = [];
+		for (let tick = Math.floor(min / step) * step; ticks.length === 0 || ticks[ticks.length - 1] < max; tick += step) {
+			ticks.push(parseFloat(tick.toPrecision(12)));
+		}
+		
+		return ticks;
+	}
+	
+	// Formats a value for display as an axis label or tooltip
+	static _format(value) {
+		return Number.isInteger(value) ? value.toString() : value.toFixed(1);
+	}
+	
+	// Creates an HTML element with the specified class and text contents (either of which may be null)
+	static _html(name, className, text)
+	{
+		let elem = document.createElement(name);
+		if (className !== null) {
+			elem.className = className;
+		}
+		if (text !== undefined && text !== null) {
+			elem.textContent = text;
+		}
+		
+		return elem;
+	}
+	
+	// Creates an SVG element with the specified attributes
+	static _element(name, attributes)
+	{
+		let elem = document.createElementNS('http://www.w3.org/2000/svg', name);
+		for (let key of Object.keys(attributes)) {
+			elem.setAttribute(key, attributes[key]);
+		}
+		
+		return elem;
+	}
+	
+	// Creates an SVG text element with the specified contents and attributes
+	static _text(contents, attributes)
+	{
+		let elem = SvgChart._element('text', Object.assign({'class': 'svg-chart-label'}, attributes));
+		elem.textContent = contents;
+		return elem;
+	}
+}
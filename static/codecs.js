@@ -0,0 +1,126 @@
+'use strict';
+
+
+// Provides functionality for enumerating the video codecs supported by the browser, forcing the use of a specific codec on the wire
+// and determining which codec was actually negotiated
+class CodecPreferences
+{
+	// The codecs that provide retransmission, redundancy or error correction rather than actually encoding video
+	static auxiliaryCodecs() {
+		return ['video/rtx', 'video/red', 'video/ulpfec', 'video/flexfec-03'];
+	}
+	
+	// Determines whether the browser supports forcing the use of a specific codec
+	static isSupported()
+	{
+		return (window.RTCRtpSender !== undefined && RTCRtpSender.getCapabilities !== undefined &&
+			window.RTCRtpTransceiver !== undefined && RTCRtpTransceiver.prototype.setCodecPreferences !== undefined);
+	}
+	
+	// Returns the list of distinct video codecs (e.g. VP8, each VP9 profile, each H.264 profile and AV1) that the browser can send
+	static enumerate()
+	{
+		if (CodecPreferences.isSupported() === false) {
+			return [];
+		}
+		
+		let codecs = [];
+		for (let capability of RTCRtpSender.getCapabilities('video').codecs)
+		{
+			if (CodecPreferences.auxiliaryCodecs().includes(capability.mimeType.toLowerCase())) {
+				continue;
+			}
+			
+			let codec = {
+				'mimeType': capability.mimeType,
+				'sdpFmtpLine': (capability.sdpFmtpLine !== undefined) ? capability.sdpFmtpLine : null
+			};
+			if (codecs.some((c) => CodecPreferences.matches(c, codec)) === false) {
+				codecs.push(codec);
+			}
+		}
+		
+		return codecs;
+	}
+	
+	// Returns the first supported codec with the specified MIME type (e.g. "video/H264"), or null if the browser does not support it
+	// (For H.264, the codec with non-interleaved packetization is preferred, since this is the mode supported by every browser)
+	static findByMimeType(mimeType)
+	{
+		let matching = CodecPreferences.enumerate().filter((c) => c['mimeType'].toLowerCase() === mimeType.toLowerCase());
+		let preferred = matching.filter((c) => c['sdpFmtpLine'] === null || c['sdpFmtpLine'].includes('packetization-mode=1'));
+		return (preferred.length > 0) ? preferred[0] : ((matching.length > 0) ? matching[0] : null);
+	}
+	
+	// Returns a human-readable description of a codec, including its format parameters (e.g. "H264 (level-asymmetry-allowed=1;...)")
+	static describe(codec)
+	{
+		let name = codec['mimeType'].replace(/^video\//i, '');
+		return (codec['sdpFmtpLine'] !== null && codec['sdpFmtpLine'] !== '') ? `${name} (${codec['sdpFmtpLine']})` : name;
+	}
+	
+	// Determines whether two codecs have the same MIME type and format parameters
+	// (Format parameters are compared regardless of their order, since browsers do not always list them in the same order)
+	static matches(a, b)
+	{
+		const params = (codec) => (codec['sdpFmtpLine'] !== null) ? codec['sdpFmtpLine'].split(';').map((p) => p.trim()).filter((p) => p.length > 0).sort().join(';') : '';
+		return (a['mimeType'].toLowerCase() === b['mimeType'].toLowerCase() && params(a) === params(b));
+	}
+	
+	// Restricts every video transceiver of the supplied connection to the specified codec, keeping the retransmission codec so that
+	// packet loss can still be recovered, and throwing an error if the browser cannot receive the codec
+	static apply(connection, codec)
+	{
+		if (CodecPreferences.isSupported() === false) {
+			throw new Error('the browser does not support setCodecPreferences()');
+		}
+		
+		let capabilities = RTCRtpReceiver.getCapabilities('video').codecs;
+		let preferred = capabilities.filter((c) => CodecPreferences.matches(codec, {'mimeType': c.mimeType, 'sdpFmtpLine': (c.sdpFmtpLine !== undefined) ? c.sdpFmtpLine : null}));
+		if (preferred.length === 0) {
+			throw new Error(`the browser cannot receive the ${CodecPreferences.describe(codec)} codec`);
+		}
+		
+		let retransmission = capabilities.filter((c) => c.mimeType.toLowerCase() === 'video/rtx');
+		for (let transceiver of connection.getTransceivers())
+		{
+			let track = transceiver.sender.track;
+			if ((track !== null && track.kind === 'video') || transceiver.receiver.track.kind === 'video') {
+				transceiver.setCodecPreferences(preferred.concat(retransmission));
+			}
+		}
+	}
+	
+	// Extracts the codec negotiated for each video media section of an SDP description, returning the list of distinct codecs
+	// (The negotiated codec is the first payload type listed in the "m=" line of each section)
+	static negotiated(sdp)
+	{
+		let codecs = [];
+		for (let section of sdp.split(/\r?\nm=/).slice(1))
+		{
+			let lines = section.split(/\r?\n/);
+			let fields = lines[0].split(' ');
+			if (fields[0] !== 'video' || fields.length < 4 || fields[1] === '0') {
+				continue;
+			}
+			
+			// Find the rtpmap and fmtp attributes for the first payload type
+			let payloadType = fields[3];
+			let rtpmap = lines.find((line) => line.startsWith(`a=rtpmap:${payloadType} `));
+			let fmtp = lines.find((line) => line.startsWith(`a=fmtp:${payloadType} `));
+			if (rtpmap === undefined) {
+				continue;
+			}
+			
+			let codec = {
+				'mimeType': `video/${rtpmap.split(' ')[1].split('/')[0]}`,
+				'sdpFmtpLine': (fmtp !== undefined) ? fmtp.substring(fmtp.indexOf(' ') + 1) : null
+			};
+			if (codecs.some((c) => CodecPreferences.matches(c, codec)) === false) {
+				codecs.push(codec);
+			}
+		}
+		
+		return codecs;
+	}
+}
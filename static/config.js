@@ -0,0 +1,184 @@
+'use strict';
+
+
+// Loads the configuration object that drives the test suite from URL query parameters, JSON files and profiles hosted by the webserver
+// (A configuration has the same structure as the settings read from the controls, and any keys it omits keep their current values)
+class SuiteConfig
+{
+	// The query parameters that control how the configuration is loaded or how the page behaves, rather than specifying configuration values
+	// ("resume" resumes an interrupted test suite without interaction, which is used by the runner after a browser crash)
+	static reservedKeys() {
+		return ['config', 'profile', 'resume'];
+	}
+	
+	// Loads the configuration specified by the supplied URL query string, validating it against the supplied template configuration
+	// (The "profile" parameter names a profile hosted by the webserver, "config" is a JSON configuration object, and any other parameter
+	// sets an individual value, using dots to separate nested keys and commas to separate list items, e.g. "synthetic.width=640")
+	static async fromQuery(search, template)
+	{
+		let query = new URLSearchParams(search);
+		let config = {};
+		
+		// Start with the profile, if one was specified
+		if (query.has('profile')) {
+			config = SuiteConfig.merge(config, await SuiteConfig.loadProfile(query.get('profile'), template));
+		}
+		
+		// Apply the JSON configuration object, if one was specified
+		if (query.has('config'))
+		{
+			let parsed = null;
+			try {
+				parsed = JSON.parse(query.get('config'));
+			}
+			catch (err) {
+				throw new Error(`the "config" query parameter is not valid JSON: ${err.message}`);
+			}
+			
+			config = SuiteConfig.merge(config, SuiteConfig.validate(parsed, template));
+		}
+		
+		// Apply the individual values
+		for (let [key, text] of query.entries())
+		{
+			if (SuiteConfig.reservedKeys().includes(key) === false) {
+				config = SuiteConfig.merge(config, SuiteConfig._parseValue(key, text, template));
+			}
+		}
+		
+		return config;
+	}
+	
+	// Retrieves the profile with the specified name from the webserver
+	static async loadProfile(name, template)
+	{
+		let profile = null;
+		try {
+			profile = await $.ajax({type: 'GET', url: `/profiles/${encodeURIComponent(name)}`, dataType: 'json'});
+		}
+		catch (err) {
+			throw new Error(`failed to retrieve profile "${name}" from the webserver`);
+		}
+		
+		return SuiteConfig.validate(profile, template);
+	}
+	
+	// Parses a configuration from the contents of a JSON file
+	static async fromFile(file, template)
+	{
+		let parsed = null;
+		try {
+			parsed = JSON.parse(await file.text());
+		}
+		catch (err) {
+			throw new Error(`${file.name} is not valid JSON: ${err.message}`);
+		}
+		
+		return SuiteConfig.validate(parsed, template);
+	}
+	
+	// Verifies that every key in a configuration exists in the template and that its value has the same type, returning the configuration
+	static validate(config, template, path)
+	{
+		let p = (path !== undefined) ? path : '';
+		if (SuiteConfig._isObject(config) === false) {
+			throw new Error(`configuration${(p.length > 0) ? ` value "${p}"` : ''} must be a JSON object`);
+		}
+		
+		for (let key of Object.keys(config))
+		{
+			let name = (p.length > 0) ? `${p}.${key}` : key;
+			if (template[key] === undefined) {
+				throw new Error(`unknown configuration key "${name}"`);
+			}
+			
+			let expected = template[key];
+			let value = config[key];
+			if (SuiteConfig._isObject(expected)) {
+				SuiteConfig.validate(value, expected, name);
+			}
+			else if (Array.isArray(expected) && Array.isArray(value) === false) {
+				throw new Error(`configuration value "${name}" must be a list`);
+			}
+			else if (Array.isArray(expected) === false && typeof value !== typeof expected) {
+				throw new Error(`configuration value "${name}" must be of type ${typeof expected}`);
+			}
+		}
+		
+		return config;
+	}
+	
+	// Merges the overrides into a copy of the base configuration, replacing lists and merging nested objects
+	static merge(base, overrides)
+	{
+		let merged = Object.assign({}, base);
+		for (let key of Object.keys(overrides))
+		{
+			if (SuiteConfig._isObject(overrides[key]) && SuiteConfig._isObject(merged[key])) {
+				merged[key] = SuiteConfig.merge(merged[key], overrides[key]);
+			}
+			else {
+				merged[key] = overrides[key];
+			}
+		}
+		
+		return merged;
+	}
+	
+	// Parses an individual query parameter into a configuration containing only that value, converting it to the type used by the template
+	static _parseValue(key, text, template)
+	{
+		// Walk the template to find the expected type of the value
+		let path = key.split('.');
+		let expected = template;
+		for (let part of path)
+		{
+			if (SuiteConfig._isObject(expected) === false || expected[part] === undefined) {
+				throw new Error(`unknown configuration key "${key}"`);
+			}
+			
+			expected = expected[part];
+		}
+		
+		// Convert the value
+		let value = null;
+		if (Array.isArray(expected)) {
+			value = text.split(',').map((item) => item.trim()).filter((item) => item.length > 0).map((item) => SuiteConfig._parseScalar(item));
+		}
+		else if (typeof expected === 'boolean') {
+			value = (text === '' || text === 'true' || text === '1');
+		}
+		else if (typeof expected === 'string') {
+			value = text;
+		}
+		else
+		{
+			value = parseFloat(text);
+			if (Number.isNaN(value)) {
+				throw new Error(`configuration value "${key}" must be a number`);
+			}
+		}
+		
+		// Build the nested configuration object
+		let config = {};
+		let target = config;
+		for (let part of path.slice(0, -1))
+		{
+			target[part] = {};
+			target = target[part];
+		}
+		target[path[path.length - 1]] = value;
+		
+		return config;
+	}
+	
+	// Converts a list item to a number if it is numeric, otherwise leaving it as a string
+	static _parseScalar(text) {
+		return (/^-?\d+(\.\d+)?$/.test(text)) ? parseFloat(text) : text;
+	}
+	
+	// Determines whether a value is a plain object (as opposed to a list or null)
+	static _isObject(value) {
+		return (value !== null && typeof value === 'object' && Array.isArray(value) === false);
+	}
+}
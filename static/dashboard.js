@@ -0,0 +1,333 @@
+'use strict';
+
+
+// Lists the sessions whose results are stored by the webserver, shows the results and charts for a single session, and compares the
+// maxima and charts of several sessions side by side (e.g. different browsers, or the same browser with and without its sandbox)
+// (This page only uses the plain DOM API and scripts served by the webserver, so it works without access to any CDN)
+class ResultsDashboard
+{
+	// Configures the dashboard to render into the supplied elements
+	constructor(sessionsElem, compareButton, detailElem)
+	{
+		this._sessionsElem = sessionsElem;
+		this._compareButton = compareButton;
+		this._detailElem = detailElem;
+		this._sessions = [];
+		this._documents = new Map();
+		
+		this._compareButton.addEventListener('click', () => { this._compareSelected(); });
+	}
+	
+	// Retrieves the list of sessions from the webserver and renders it
+	async load()
+	{
+		this._sessions = await ResultsDashboard._fetchJSON('/sessions');
+		this._renderSessions();
+	}
+	
+	// Shows the summary, baseline comparison, charts and step-by-step results for a single session
+	async showSession(sessionID)
+	{
+		let session = await this._fetchDocument(sessionID);
+		let records = session['results'];
+		let parameters = ResultsDashboard._parameters([session]);
+		
+		// Allow the session to be marked as the baseline for its user-agent family, which replaces any previous baseline
+		let mark = ResultsDashboard._html('button', 'Mark as baseline');
+		mark.addEventListener('click', async () =>
+		{
+			await BaselineReport.mark(sessionID);
+			await this.load();
+			await this.showSession(sessionID);
+		});
+		
+		let comparison = ResultsDashboard._html('div', null);
+		BaselineReport.render(comparison, await BaselineReport.fetch(sessionID, ResultsDashboard.defaultTolerance()));
+		
+		let contents = [
+			ResultsDashboard._html('h2', `Session ${sessionID}`),
+			ResultsDashboard._html('p', `${ResultsDashboard._date(session['created'])}, ${session['userAgent']}`),
+			mark,
+			this._maximaTable([session]),
+			ResultsDashboard._html('h3', 'Comparison against baseline'),
+			comparison
+		];
+		for (let param of parameters)
+		{
+			let charts = [
+				ResultsDashboard.durationChart(records, param, [['passed', true], ['failed', false]]),
+				ResultsDashboard.passRateChart([[param, records]], param)
+			].concat(PhaseTimer.buildCharts(records, param, param));
+			contents.push(ResultsDashboard._html('h3', param));
+			contents.push(ResultsDashboard._charts(charts));
+		}
+		contents.push(ResultsDashboard._html('h3', 'Results'));
+		contents.push(this._resultsTable(records));
+		
+		this._detailElem.replaceChildren(...contents);
+	}
+	
+	// Compares the maxima and charts of the specified sessions side by side
+	async compareSessions(sessionIDs)
+	{
+		let sessions = [];
+		for (let sessionID of sessionIDs) {
+			sessions.push(await this._fetchDocument(sessionID));
+		}
+		
+		let contents = [
+			ResultsDashboard._html('h2', `Comparison of ${sessions.length} sessions`),
+			this._maximaTable(sessions)
+		];
+		for (let param of ResultsDashboard._parameters(sessions))
+		{
+			// Plot the passing runs and pass rates of every session as separate series
+			let labelled = sessions.map((session) => [ResultsDashboard.label(session), session['results']]);
+			let durations = {
+				'title': 'Duration of passing test runs',
+				'xLabel': param,
+				'yLabel': 'Seconds',
+				'logX': true,
+				'series': labelled.map(([label, records]) => ResultsDashboard.durationChart(records, param, [[label, true]])['series'][0])
+			};
+			contents.push(ResultsDashboard._html('h3', param));
+			contents.push(ResultsDashboard._charts([durations, ResultsDashboard.passRateChart(labelled, param)]));
+		}
+		
+		this._detailElem.replaceChildren(...contents);
+	}
+	
+	// The tolerance for regressions against a baseline when viewing a session, as a fraction of the baseline
+	static defaultTolerance() {
+		return 0.1;
+	}
+	
+	// Builds a chart of the duration of each test run of the specified parameter against the tested value, with a series for each
+	// of the supplied [name, passed] pairs containing the test runs with that outcome
+	static durationChart(records, parameter, outcomes)
+	{
+		let timed = records.filter((r) => r['parameter'] === parameter && r['value'] !== null && r['duration'] !== null && r['duration'] !== undefined);
+		return {
+			'title': 'Duration of each test run',
+			'xLabel': parameter,
+			'yLabel': 'Seconds',
+			'logX': true,
+			'series': outcomes.map(([name, passed]) => {
+				return {
+					'name': name,
+					'points': timed.filter((r) => r['passed'] === passed).map((r) => [r['value'], r['duration']])
+				};
+			})
+		};
+	}
+	
+	// Builds a chart of the percentage of test runs that passed at each tested value of the specified parameter, with a series for each
+	// of the supplied [name, records] pairs
+	static passRateChart(labelledRecords, parameter)
+	{
+		let policy = new RepetitionPolicy(1, 1);
+		return {
+			'title': 'Pass rate at each value',
+			'xLabel': parameter,
+			'yLabel': 'Percent passed',
+			'logX': true,
+			'series': labelledRecords.map(([name, records]) => {
+				return {
+					'name': name,
+					'points': policy.summarise(records, parameter).map((s) => [s['value'], s['passRate'] * 100])
+				};
+			})
+		};
+	}
+	
+	// Returns a short label identifying a session by its browser, date and the start of its session ID
+	// (Browsers are checked in order, since the user agents of Chromium-based browsers also contain "Chrome" and "Safari")
+	static label(session)
+	{
+		let userAgent = (session['userAgent'] !== null && session['userAgent'] !== undefined) ? session['userAgent'] : '';
+		let browser = 'Unknown browser';
+		for (let [name, pattern] of [['Edge', /Edg\/(\d+)/], ['Opera', /OPR\/(\d+)/], ['Firefox', /Firefox\/(\d+)/], ['Chrome', /Chrome\/(\d+)/], ['Safari', /Version\/(\d+).*Safari/]])
+		{
+			let matches = pattern.exec(userAgent);
+			if (matches !== null)
+			{
+				browser = `${name} ${matches[1]}`;
+				break;
+			}
+		}
+		
+		return `${browser} (${ResultsDashboard._date(session['created'])}, ${session['session'].slice(0, 8)})`;
+	}
+	
+	// Renders the list of sessions as a table with a checkbox for selecting sessions to compare and a button to view each one
+	_renderSessions()
+	{
+		if (this._sessions.length === 0)
+		{
+			this._sessionsElem.replaceChildren(ResultsDashboard._html('p', 'No sessions have been recorded yet.'));
+			return;
+		}
+		
+		let rows = this._sessions.map((session) =>
+		{
+			let checkbox = document.createElement('input');
+			checkbox.type = 'checkbox';
+			checkbox.value = session['session'];
+			
+			let view = ResultsDashboard._html('button', 'View');
+			view.addEventListener('click', () => { this.showSession(session['session']); });
+			
+			let maxima = Object.entries(session['maxima']).map(([param, max]) => `${param}: ${max}`).join(', ');
+			let family = `${session['family']}${(session['baseline'] === true) ? ' (baseline)' : ''}`;
+			return [checkbox, ResultsDashboard._date(session['created']), family, session['userAgent'], session['records'], maxima, view];
+		});
+		
+		this._sessionsElem.replaceChildren(ResultsDashboard._table(['Compare', 'Date', 'Family', 'User agent', 'Results', 'Maxima', ''], rows));
+	}
+	
+	// Compares the sessions whose checkboxes are selected
+	_compareSelected()
+	{
+		let selected = Array.from(this._sessionsElem.querySelectorAll('input[type="checkbox"]:checked')).map((checkbox) => checkbox.value);
+		if (selected.length < 2) {
+			this._detailElem.replaceChildren(ResultsDashboard._html('p', 'Select at least two sessions to compare.'));
+		}
+		else {
+			this.compareSessions(selected);
+		}
+	}
+	
+	// Builds a table of the maximum identified for each parameter, with a column for each of the supplied results documents
+	_maximaTable(sessions)
+	{
+		let rows = ResultsDashboard._parameters(sessions).map((param) => [param].concat(sessions.map((session) =>
+		{
+			let maxima = (session['summary']['maxima'] !== undefined) ? session['summary']['maxima'] : {};
+			return (maxima[param] !== undefined) ? maxima[param] : '-';
+		})));
+		
+		return ResultsDashboard._table(['Parameter'].concat(sessions.map((session) => ResultsDashboard.label(session))), rows);
+	}
+	
+	// Builds a table of the step-by-step result records of a session
+	_resultsTable(records)
+	{
+		let rows = records.map((r) => [
+			r['parameter'],
+			r['value'],
+			(r['repetition'] !== null && r['repetition'] !== undefined) ? r['repetition'] + 1 : '',
+			(r['passed'] === true) ? 'passed' : 'failed',
+			(r['failureReason'] !== null) ? r['failureReason'] : '',
+			(r['duration'] !== null && r['duration'] !== undefined) ? r['duration'].toFixed(2) : '',
+			(r['error'] !== null) ? r['error'] : ''
+		]);
+		
+		let table = ResultsDashboard._table(['Parameter', 'Value', 'Repetition', 'Outcome', 'Failure reason', 'Duration (seconds)', 'Error'], rows);
+		records.forEach((r, index) => {
+			table.tBodies[0].rows[index].className = (r['passed'] === true) ? 'dashboard-pass' : 'dashboard-fail';
+		});
+		
+		return table;
+	}
+	
+	// Retrieves the results document for a session, caching it for subsequent views
+	async _fetchDocument(sessionID)
+	{
+		if (this._documents.has(sessionID) === false) {
+			this._documents.set(sessionID, await ResultsDashboard._fetchJSON(`/results/${sessionID}`));
+		}
+		
+		return this._documents.get(sessionID);
+	}
+	
+	// Returns the tested parameters of the supplied results documents, in order of first appearance
+	static _parameters(sessions)
+	{
+		let parameters = [];
+		for (let session of sessions)
+		{
+			let maxima = (session['summary']['maxima'] !== undefined) ? Object.keys(session['summary']['maxima']) : [];
+			for (let param of maxima.concat(session['results'].map((r) => r['parameter'])))
+			{
+				if (parameters.includes(param) === false) {
+					parameters.push(param);
+				}
+			}
+		}
+		
+		return parameters;
+	}
+	
+	// Retrieves and parses a JSON document from the webserver
+	static async _fetchJSON(url)
+	{
+		let response = await fetch(url);
+		if (response.ok === false) {
+			throw new Error(`failed to retrieve ${url} from the webserver (status ${response.status})`);
+		}
+		
+		return await response.json();
+	}
+	
+	// Formats an ISO 8601 timestamp as a local date and time
+	static _date(timestamp) {
+		return (timestamp !== null && timestamp !== undefined) ? new Date(timestamp).toLocaleString() : 'unknown date';
+	}
+	
+	// Renders the supplied charts in a new container element
+	static _charts(charts)
+	{
+		let container = ResultsDashboard._html('div', null);
+		container.className = 'dashboard-charts';
+		SvgChart.render(container, charts);
+		return container;
+	}
+	
+	// Builds a table with the supplied column headings and rows, where each cell is either an element or a value to display as text
+	static _table(headings, rows)
+	{
+		let table = document.createElement('table');
+		table.className = 'dashboard-table';
+		table.createTHead().insertRow().append(...headings.map((heading) => ResultsDashboard._html('th', heading)));
+		
+		let body = table.createTBody();
+		for (let row of rows)
+		{
+			let tr = body.insertRow();
+			for (let cell of row) {
+				tr.insertCell().append((cell instanceof Node) ? cell : `${cell}`);
+			}
+		}
+		
+		return table;
+	}
+	
+	// Creates an HTML element with the specified text contents
+	static _html(name, text)
+	{
+		let elem = document.createElement(name);
+		if (text !== null) {
+			elem.textContent = text;
+		}
+		
+		return elem;
+	}
+}
+
+
+// Load the list of sessions once the page has loaded
+window.addEventListener('DOMContentLoaded', async () =>
+{
+	let dashboard = new ResultsDashboard(
+		document.getElementById('sessions'),
+		document.getElementById('compare-button'),
+		document.getElementById('detail')
+	);
+	
+	try {
+		await dashboard.load();
+	}
+	catch (err) {
+		document.getElementById('sessions').textContent = `Failed to load the list of sessions: ${err.message}`;
+	}
+});
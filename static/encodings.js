@@ -0,0 +1,126 @@
+'use strict';
+
+
+// Parses and applies the sender encoding profiles that control the bitrate, resolution and frame rate of each video sender
+// (A profile is a comma-separated list of `maxBitrate` in bits per second with an optional "k" or "M" suffix, `scaleResolutionDownBy`
+// and `maxFramerate` settings, e.g. "maxBitrate=500k, scaleResolutionDownBy=2", with profiles separated by semicolons)
+// (Simulcast is not supported, since the answering end of every connection is a browser peer connection that does not accept simulcast
+// layers, so the offering browser would silently send only the lowest layer)
+class SenderEncodings
+{
+	// The settings that may be specified by a profile
+	static settings() {
+		return ['maxBitrate', 'scaleResolutionDownBy', 'maxFramerate'];
+	}
+	
+	// Parses the semicolon-separated list of profiles, throwing an error if any of them are invalid
+	static parseProfiles(text)
+	{
+		let profiles = [];
+		for (let definition of text.split(';').map((d) => d.trim()).filter((d) => d.length > 0))
+		{
+			let profile = {'name': null, 'maxBitrate': null, 'scaleResolutionDownBy': null, 'maxFramerate': null};
+			for (let token of definition.split(',').map((t) => t.replace(/\s+/g, '')).filter((t) => t.length > 0))
+			{
+				let [key, value] = token.split('=');
+				if (SenderEncodings.settings().includes(key) === false || value === undefined) {
+					throw new Error(`invalid encoding setting "${token}"`);
+				}
+				
+				let parsed = SenderEncodings._parseValue(key, value);
+				if (parsed === null) {
+					throw new Error(`invalid value for encoding setting "${token}"`);
+				}
+				
+				profile[key] = parsed;
+			}
+			
+			profile['name'] = SenderEncodings.describe(profile);
+			profiles.push(profile);
+		}
+		
+		return profiles;
+	}
+	
+	// Returns a human-readable description of a profile, listing only the settings it specifies
+	static describe(profile)
+	{
+		let parts = [];
+		if (profile['maxBitrate'] !== null) {
+			parts.push(`maxBitrate=${profile['maxBitrate']}`);
+		}
+		if (profile['scaleResolutionDownBy'] !== null) {
+			parts.push(`scaleResolutionDownBy=${profile['scaleResolutionDownBy']}`);
+		}
+		if (profile['maxFramerate'] !== null) {
+			parts.push(`maxFramerate=${profile['maxFramerate']}`);
+		}
+		
+		return (parts.length > 0) ? parts.join(', ') : 'browser default';
+	}
+	
+	// Returns the encoding for a sender using the specified profile, containing only the settings the profile specifies
+	static encoding(profile)
+	{
+		let encoding = {};
+		for (let key of SenderEncodings.settings())
+		{
+			if (profile[key] !== null) {
+				encoding[key] = profile[key];
+			}
+		}
+		
+		return encoding;
+	}
+	
+	// Adds a video track to the supplied connection and applies the encoding for the specified profile with setParameters(), returning its sender
+	// (This is how an application would adjust the encoding of an existing sender)
+	static async addTrack(connection, track, stream, profile)
+	{
+		let sender = connection.addTrack(track, stream);
+		let parameters = sender.getParameters();
+		if (parameters.encodings === undefined || parameters.encodings.length === 0) {
+			parameters.encodings = [{}];
+		}
+		Object.assign(parameters.encodings[0], SenderEncodings.encoding(profile));
+		await sender.setParameters(parameters);
+		return sender;
+	}
+	
+	// Returns the encodings reported by getParameters() for the supplied sender
+	static describeSender(sender)
+	{
+		let encodings = sender.getParameters().encodings;
+		return (encodings !== undefined) ? encodings.map((encoding) => {
+			return {
+				'rid': (encoding.rid !== undefined) ? encoding.rid : null,
+				'active': (encoding.active !== undefined) ? encoding.active : true,
+				'maxBitrate': (encoding.maxBitrate !== undefined) ? encoding.maxBitrate : null,
+				'scaleResolutionDownBy': (encoding.scaleResolutionDownBy !== undefined) ? encoding.scaleResolutionDownBy : null,
+				'maxFramerate': (encoding.maxFramerate !== undefined) ? encoding.maxFramerate : null
+			};
+		}) : [];
+	}
+	
+	// Parses the value of a single setting, returning null if it is invalid
+	static _parseValue(key, value)
+	{
+		if (key === 'maxBitrate')
+		{
+			let matches = /^(\d+(\.\d+)?)([kM]?)$/.exec(value);
+			if (matches === null) {
+				return null;
+			}
+			
+			let multiplier = (matches[3] === 'k') ? 1000 : ((matches[3] === 'M') ? 1000 * 1000 : 1);
+			return Math.round(parseFloat(matches[1]) * multiplier);
+		}
+		
+		let parsed = Number(value);
+		if (key === 'scaleResolutionDownBy') {
+			return (Number.isFinite(parsed) && parsed >= 1) ? parsed : null;
+		}
+		
+		return (Number.isFinite(parsed) && parsed > 0) ? parsed : null;
+	}
+}
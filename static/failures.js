@@ -0,0 +1,67 @@
+'use strict';
+
+
+// Describes why a test run failed, so that failures caused by different browser limits can be told apart
+// (A failure has a `category` describing what went wrong, the `phase` of the test run in which it happened, and the `progress` made
+// by then, namely the number of data channels that opened and echoed their messages and the number of media streams that were received)
+class TestFailure extends Error
+{
+	// The categories of failure, along with a description of each
+	static categories()
+	{
+		return {
+			'setup-exception': 'an exception was thrown while creating the connection, data channels or media sources',
+			'negotiation-error': 'creating or applying the offer or answer failed or timed out',
+			'ice-failure': 'the ICE connection failed or did not connect in time',
+			'channel-open-timeout': 'one or more data channels did not open in time',
+			'channel-closed': 'the browser closed one or more data channels before their messages were echoed',
+			'echo-timeout': 'one or more data channels did not echo their messages in time',
+			'playback-stall': 'one or more media streams did not complete playback in time',
+			'verification-failure': 'the payloads, frames, codecs or decoded frame rates did not pass verification',
+			'teardown-timeout': 'one or more data channels did not close in time after disconnecting'
+		};
+	}
+	
+	// Creates a failure of the specified category that happened during the specified phase, after the supplied progress was made
+	constructor(category, phase, message, progress)
+	{
+		super(message);
+		this.name = 'TestFailure';
+		this.category = category;
+		this.phase = phase;
+		this.progress = (progress !== undefined) ? progress : null;
+	}
+	
+	// Returns the category of the supplied error, or "error" if it is not a TestFailure
+	static categoryOf(error) {
+		return (error instanceof TestFailure) ? error.category : 'error';
+	}
+	
+	// Returns the category, phase and progress of the supplied error for inclusion in a result record, or null if it is not a TestFailure
+	static summarise(error)
+	{
+		if ((error instanceof TestFailure) === false) {
+			return null;
+		}
+		
+		return {
+			'category': error.category,
+			'phase': error.phase,
+			'progress': error.progress
+		};
+	}
+	
+	// Returns a human-readable description of the category, phase and progress of the supplied error
+	static describe(error)
+	{
+		if ((error instanceof TestFailure) === false) {
+			return 'unclassified error';
+		}
+		
+		let progress = Object.entries((error.progress !== null) ? error.progress : {})
+			.filter(([_, count]) => count !== null)
+			.map(([key, count]) => `${count} ${key.replace(/([A-Z])/g, ' $1').toLowerCase()}`);
+		let explanation = TestFailure.categories()[error.category];
+		return `${error.category} during ${error.phase}${(explanation !== undefined) ? ` (${explanation})` : ''}${(progress.length > 0) ? `, after ${progress.join(', ')}` : ''}`;
+	}
+}
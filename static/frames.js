@@ -0,0 +1,227 @@
+'use strict';
+
+
+// Verifies that the video frames of each media stream are actually delivered to the remote peer by counting the frames rendered by the
+// local and remote <video> elements and periodically sampling the remote pixels to detect frozen or black streams
+class FrameVerifier
+{
+	// Configures the verifier with the specified pixel sampling interval (in milliseconds), the number of consecutive unchanged samples
+	// after which a stream is considered frozen, and the mean luma value below which a sample is considered black
+	constructor(sampleInterval, frozenSamples, blackThreshold)
+	{
+		this._sampleInterval = sampleInterval;
+		this._frozenSamples = frozenSamples;
+		this._blackThreshold = blackThreshold;
+		this._timer = null;
+		this._active = true;
+		
+		// The tracking state for each media stream, keyed by stream ID
+		this._streams = new Map();
+		
+		// The small canvas that remote frames are drawn onto for pixel sampling
+		this._canvas = new OffscreenCanvas(32, 18);
+		this._context = this._canvas.getContext('2d', {willReadFrequently: true});
+	}
+	
+	// Starts counting the frames rendered by the local <video> element that provides the specified stream
+	watchLocal(streamID, elem) {
+		this._stream(streamID)['local'] = this._watch(elem);
+	}
+	
+	// Uses the supplied function to count the frames generated by a local source that is not played in a <video> element
+	watchLocalCounter(streamID, countFrames) {
+		this._stream(streamID)['local'] = {'elem': null, 'count': countFrames};
+	}
+	
+	// Starts counting the frames rendered by the remote <video> element that displays the specified stream
+	watchRemote(streamID, elem) {
+		this._stream(streamID)['remote'] = this._watch(elem);
+	}
+	
+	// Starts sampling the pixels of the remote <video> elements
+	start() {
+		this._timer = window.setInterval(() => { this._samplePixels(); }, this._sampleInterval);
+	}
+	
+	// Stops sampling pixels while continuing to count frames
+	// (This is called once the media starts to complete playback, since the last frame of a stream that has ended looks frozen)
+	stopSampling()
+	{
+		if (this._timer !== null)
+		{
+			window.clearInterval(this._timer);
+			this._timer = null;
+		}
+	}
+	
+	// Stops counting frames and sampling pixels
+	stop()
+	{
+		this._active = false;
+		this.stopSampling();
+	}
+	
+	// Returns the per-stream delivery summary
+	getSummary()
+	{
+		let streams = [];
+		for (let [streamID, stream] of this._streams)
+		{
+			// Only streams with a local video source are expected to render frames (e.g. audio-only streams are ignored)
+			if (stream['local'] === null) {
+				continue;
+			}
+			
+			let localFrames = (stream['local'] !== null) ? this._frameCount(stream['local']) : null;
+			let remoteFrames = (stream['remote'] !== null) ? this._frameCount(stream['remote']) : 0;
+			streams.push({
+				'stream': streamID,
+				'localFrames': localFrames,
+				'remoteFrames': remoteFrames,
+				'deliveryRatio': (localFrames !== null && localFrames > 0) ? remoteFrames / localFrames : null,
+				'rendered': (remoteFrames > 0),
+				'frozen': (stream['maxUnchanged'] >= this._frozenSamples),
+				'black': (stream['samples'] > 0 && stream['blackSamples'] === stream['samples']),
+				'pixelSamples': stream['samples']
+			});
+		}
+		
+		return {
+			'streams': streams,
+			'minDeliveryRatio': (streams.length > 0) ? Math.min(...streams.map((s) => (s['deliveryRatio'] !== null) ? s['deliveryRatio'] : 0)) : null
+		};
+	}
+	
+	// Returns descriptions of the streams that never rendered, froze, rendered black or fell below the specified delivery ratio
+	findFailures(minDeliveryRatio)
+	{
+		let failures = [];
+		for (let stream of this.getSummary()['streams'])
+		{
+			if (stream['rendered'] === false) {
+				failures.push(`stream ${stream['stream']} never rendered`);
+			}
+			else if (stream['frozen'] === true) {
+				failures.push(`stream ${stream['stream']} froze`);
+			}
+			else if (stream['black'] === true) {
+				failures.push(`stream ${stream['stream']} rendered only black frames`);
+			}
+			else if (stream['deliveryRatio'] !== null && stream['deliveryRatio'] < minDeliveryRatio) {
+				failures.push(`stream ${stream['stream']} delivered ${(stream['deliveryRatio'] * 100).toFixed(1)}% of frames`);
+			}
+		}
+		
+		return failures;
+	}
+	
+	// Retrieves the tracking state for the specified stream, creating it if it does not exist
+	_stream(streamID)
+	{
+		if (this._streams.has(streamID) === false)
+		{
+			this._streams.set(streamID, {
+				'local': null,
+				'remote': null,
+				'samples': 0,
+				'blackSamples': 0,
+				'unchanged': 0,
+				'maxUnchanged': 0,
+				'lastPixels': null,
+				'lastFrames': null
+			});
+		}
+		
+		return this._streams.get(streamID);
+	}
+	
+	// Starts counting the frames rendered by a <video> element, using requestVideoFrameCallback() where it is supported
+	_watch(elem)
+	{
+		let watched = {'elem': elem, 'frames': 0};
+		if (elem.requestVideoFrameCallback !== undefined)
+		{
+			const onFrame = () =>
+			{
+				watched['frames'] += 1;
+				if (this._active === true) {
+					elem.requestVideoFrameCallback(onFrame);
+				}
+			};
+			
+			elem.requestVideoFrameCallback(onFrame);
+		}
+		
+		return watched;
+	}
+	
+	// Returns the number of frames rendered by a watched <video> element, falling back to the playback quality metrics in
+	// browsers that do not support requestVideoFrameCallback()
+	_frameCount(watched)
+	{
+		if (watched['count'] !== undefined) {
+			return watched['count']();
+		}
+		else if (watched['elem'].requestVideoFrameCallback !== undefined) {
+			return watched['frames'];
+		}
+		
+		let quality = watched['elem'].getVideoPlaybackQuality();
+		return quality.totalVideoFrames - quality.droppedVideoFrames;
+	}
+	
+	// Samples the pixels of each remote <video> element that has started rendering
+	_samplePixels()
+	{
+		for (let stream of this._streams.values())
+		{
+			let elem = (stream['remote'] !== null) ? stream['remote']['elem'] : null;
+			let frames = (elem !== null) ? this._frameCount(stream['remote']) : 0;
+			if (elem === null || elem.videoWidth === 0 || frames === 0) {
+				continue;
+			}
+			
+			// Downscale the current frame onto our canvas and compute its mean luma
+			this._context.drawImage(elem, 0, 0, this._canvas.width, this._canvas.height);
+			let pixels = this._context.getImageData(0, 0, this._canvas.width, this._canvas.height).data;
+			let luma = 0;
+			for (let i = 0; i < pixels.length; i += 4) {
+				luma += 0.299 * pixels[i] + 0.587 * pixels[i + 1] + 0.114 * pixels[i + 2];
+			}
+			luma /= (pixels.length / 4);
+			
+			// Determine whether the frame is black and whether it is identical to the previous sample
+			stream['samples'] += 1;
+			if (luma < this._blackThreshold) {
+				stream['blackSamples'] += 1;
+			}
+			
+			// (A sample only counts as unchanged if no new frames were rendered either, since a static part of the video can produce
+			// identical downscaled samples while the stream is still being delivered)
+			if (stream['lastPixels'] !== null && frames === stream['lastFrames'] && FrameVerifier._identical(stream['lastPixels'], pixels))
+			{
+				stream['unchanged'] += 1;
+				stream['maxUnchanged'] = Math.max(stream['maxUnchanged'], stream['unchanged']);
+			}
+			else {
+				stream['unchanged'] = 0;
+			}
+			
+			stream['lastPixels'] = pixels;
+			stream['lastFrames'] = frames;
+		}
+	}
+	
+	// Determines whether two sets of sampled pixels are identical
+	static _identical(a, b)
+	{
+		for (let i = 0; i < a.length; ++i)
+		{
+			if (a[i] !== b[i]) {
+				return false;
+			}
+		}
+		
+		return true;
+	}
+}
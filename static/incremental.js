@@ -0,0 +1,600 @@
+'use strict';
+
+
+// Keeps a single loopback peer connection alive and adds data channels or media streams to it in steps, renegotiating after each step
+// while the existing data channels keep exchanging heartbeat messages and the existing media streams keep playing
+// (This measures how many channels or streams can be accumulated over time, as happens when participants join a real application, rather
+// than how many can be negotiated at once, and can optionally remove some of them after each step to test churn)
+class IncrementalRenegotiationRun
+{
+	// Configures the run to add the specified kind of item ("dataChannels" or "mediaStreams") with the specified options
+	// (`step` items are added per step and `churn` of the oldest items are then removed in a separate step, until `max` items are active)
+	// (`settleTime` is the time in milliseconds to wait after each step before checking that the existing channels are still echoing heartbeat
+	// messages and the existing streams are still decoding at least `minStreamFps` frames per second, and `readyTimeout` is the time to wait for
+	// the newly-added channels to open or streams to arrive)
+	// (`negotiationTimeout` is the time to wait for each offer or answer to be created or applied and for each set of statistics to be retrieved)
+	// (The `synthetic`, `dataChannel`, `videoCodec` and `connection` options have the same meaning as for WebRtcLimitTestRun)
+	constructor(containerElemLocal, containerElemRemote, localVideoURLs, kind, options)
+	{
+		this._containerLocal = $(containerElemLocal);
+		this._containerRemote = $(containerElemRemote);
+		this._localVideoURLs = localVideoURLs;
+		this._kind = kind;
+		this._options = Object.assign({
+			'step': 1,
+			'churn': 0,
+			'max': 65535,
+			'settleTime': 3000,
+			'heartbeatInterval': 500,
+			'readyTimeout': 60 * 1000,
+			'negotiationTimeout': 60 * 1000,
+			'minStreamFps': 1,
+			'synthetic': null,
+			'dataChannel': {},
+			'videoCodec': null,
+			'connection': {}
+		}, (options !== undefined) ? options : {});
+		
+		this._localConnection = null;
+		this._remoteConnection = null;
+		this._audioContext = null;
+		this._heartbeatTimer = null;
+		
+		// Aborted during teardown to remove every event listener registered by the run
+		this._listeners = new AbortController();
+		
+		// The channels and streams that have been added so far, in the order they were added (removed items are dropped from these lists)
+		this._channels = [];
+		this._streams = [];
+		this._nextChannel = 0;
+		this._nextStream = 0;
+		
+		// The record for each step that has been performed
+		this._steps = [];
+	}
+	
+	// Returns the kind of item that is added in each step
+	getKind() {
+		return this._kind;
+	}
+	
+	// Returns the records for the steps that have been performed so far
+	getSteps() {
+		return this._steps;
+	}
+	
+	// Returns the largest number of active items for which a step succeeded (or 0 if no steps succeeded)
+	getMaximum()
+	{
+		let passed = this._steps.filter((step) => step['passed'] === true).map((step) => step['total']);
+		return (passed.length > 0) ? Math.max(...passed) : 0;
+	}
+	
+	// Performs steps until the maximum is reached, renegotiation fails or the existing channels or streams degrade
+	// (The supplied callbacks are invoked with the record for each step when it starts and when it finishes)
+	async run(onStepStarted, onStepFinished)
+	{
+		try
+		{
+			// Create the connection and the single item of the other kind that accompanies the items we are adding
+			// (Data channels are tested alongside a single media stream, and media streams alongside a single data channel which carries heartbeats)
+			this._setup();
+			if (this._kind === 'dataChannels') {
+				await this._addStreams(1);
+			}
+			else {
+				this._addChannels(1);
+			}
+			
+			// Start sending heartbeat messages over every open data channel
+			this._heartbeatTimer = window.setInterval(() => { this._sendHeartbeats(); }, this._options['heartbeatInterval']);
+			
+			// Add items in steps until we reach the maximum or a step fails, removing items after each step if we are testing churn
+			let step = this._options['step'];
+			let churn = this._options['churn'];
+			while (this._activeCount() + step <= this._options['max'])
+			{
+				if ((await this._performStep('add', step, onStepStarted, onStepFinished)) === false) {
+					break;
+				}
+				
+				if (churn > 0 && (await this._performStep('remove', Math.min(churn, this._activeCount()), onStepStarted, onStepFinished)) === false) {
+					break;
+				}
+			}
+		}
+		finally {
+			this._teardown();
+		}
+	}
+	
+	// Performs a single step that adds or removes the specified number of items and renegotiates, returning whether the step succeeded
+	async _performStep(action, count, onStepStarted, onStepFinished)
+	{
+		let start = window.performance.now();
+		let step = {
+			'index': this._steps.length,
+			'action': action,
+			'count': count,
+			'total': this._activeCount() + ((action === 'add') ? count : -count),
+			'dataChannels': null,
+			'mediaStreams': null,
+			'ready': null,
+			'heartbeats': null,
+			'streams': null,
+			'passed': false,
+			'error': null,
+			'failure': null,
+			'duration': null,
+			'timing': null
+		};
+		this._steps.push(step);
+		onStepStarted(step);
+		
+		// The items that existed before the step (and are not being removed) must keep working throughout it
+		let existingChannels = this._channels.filter((channel) => channel['open'] === true);
+		let existingStreams = this._streams.filter((stream) => stream['mids'].length > 0);
+		
+		// Keep track of the phase of the step and the category of any failure that is not already classified, as WebRtcLimitTestRun does
+		let timer = new PhaseTimer();
+		let phase = 'setup';
+		let category = 'setup-exception';
+		try
+		{
+			// Add or remove the items
+			let added = [];
+			if (action === 'add') {
+				added = await timer.measure('setup', () => (this._kind === 'dataChannels') ? this._addChannels(count) : this._addStreams(count));
+			}
+			else
+			{
+				let removed = await timer.measure('setup', () => (this._kind === 'dataChannels') ? this._removeChannels(count) : this._removeStreams(count));
+				existingChannels = existingChannels.filter((channel) => removed.includes(channel) === false);
+				existingStreams = existingStreams.filter((stream) => removed.includes(stream) === false);
+			}
+			
+			// Renegotiate the connection
+			phase = 'renegotiation';
+			category = 'negotiation-error';
+			await this._renegotiate(timer);
+			
+			// Wait for any new channels to open or new streams to arrive
+			phase = 'ready';
+			category = (this._kind === 'dataChannels') ? 'channel-open-timeout' : 'playback-stall';
+			let readyStart = window.performance.now();
+			await this._waitUntil(
+				() => added.every((item) => (item['stream'] !== undefined) ? item['received'] === true : (item['open'] === true && item['remoteOpen'] === true)),
+				this._options['readyTimeout'],
+				`the ${added.length} new ${(this._kind === 'dataChannels') ? 'data channels to open' : 'media streams to arrive'}`
+			);
+			step['ready'] = window.performance.now() - readyStart;
+			this._recordMids();
+			
+			// Verify that the existing channels and streams kept working
+			phase = 'degradation';
+			category = 'verification-failure';
+			let health = await this._checkExisting(existingChannels, existingStreams);
+			step['heartbeats'] = health['heartbeats'];
+			step['streams'] = health['streams'];
+			if (health['heartbeats']['stalled'] > 0) {
+				throw this._fail('echo-timeout', phase, `${health['heartbeats']['stalled']} existing data channel(s) stopped echoing heartbeat messages`);
+			}
+			if (health['streams']['degraded'] > 0) {
+				throw this._fail('verification-failure', phase, `${health['streams']['degraded']} existing media stream(s) fell below ${this._options['minStreamFps']} decoded frames per second`);
+			}
+			
+			step['passed'] = true;
+		}
+		catch (err)
+		{
+			let failure = (err instanceof TestFailure) ? err : this._fail(category, phase, (err.message !== undefined) ? err.message : `${err}`);
+			console.log('[Incremental Renegotiation] Step failed: ', failure);
+			step['error'] = `${failure}`;
+			step['failure'] = TestFailure.summarise(failure);
+		}
+		
+		step['dataChannels'] = this._channels.length;
+		step['mediaStreams'] = this._streams.length;
+		step['duration'] = (window.performance.now() - start) / 1000.0;
+		step['timing'] = timer.getSummary();
+		onStepFinished(step);
+		return step['passed'];
+	}
+	
+	// Returns the number of active items of the kind we are adding
+	_activeCount() {
+		return (this._kind === 'dataChannels') ? this._channels.length : this._streams.length;
+	}
+	
+	// Creates both ends of the peer connection and wires up their event handlers
+	_setup()
+	{
+		this._containerLocal.empty();
+		this._containerRemote.empty();
+		
+		// Exchange ICE candidates directly between the two ends of the connection
+		this._localConnection = new RTCPeerConnection(this._options['connection']);
+		this._remoteConnection = new RTCPeerConnection(this._options['connection']);
+		this._listen(this._localConnection, 'icecandidate', async (event) => { await this._addIceCandidate(this._remoteConnection, event.candidate); });
+		this._listen(this._remoteConnection, 'icecandidate', async (event) => { await this._addIceCandidate(this._localConnection, event.candidate); });
+		
+		// Configure the remote end of each data channel that is created by the local end
+		this._listen(this._remoteConnection, 'datachannel', (event) =>
+		{
+			let channel = this._channels.find((c) => c['label'] === event.channel.label);
+			if (channel !== undefined) {
+				this._configureRemoteChannel(channel, event.channel);
+			}
+		});
+		
+		// Display each media stream received by the remote end
+		this._listen(this._remoteConnection, 'track', (event) =>
+		{
+			let stream = this._streams.find((s) => s['stream'].id === event.streams[0].id);
+			if (stream !== undefined && stream['remoteElem'] === null)
+			{
+				stream['remoteElem'] = WebRtcLimitTestRun.createVideoElem(this._containerRemote);
+				stream['remoteElem'].srcObject = event.streams[0];
+				stream['remoteElem'].play();
+			}
+			if (stream !== undefined) {
+				stream['received'] = true;
+			}
+		});
+	}
+	
+	// Adds an ICE candidate gathered by one end of the connection to the other end, logging any failure rather than leaving it unhandled
+	async _addIceCandidate(connection, candidate)
+	{
+		if (candidate === null) {
+			return;
+		}
+		
+		try {
+			await connection.addIceCandidate(candidate);
+		}
+		catch (err) {
+			console.log('[Incremental Renegotiation] Failed to add ICE candidate: ', err);
+		}
+	}
+	
+	// Creates the specified number of data channels, returning their descriptors
+	// (Pre-negotiated channels use an ever-increasing ID, since the IDs of removed channels may not be released immediately)
+	_addChannels(count)
+	{
+		let settings = Object.assign({'ordered': true, 'maxRetransmits': null, 'maxPacketLifeTime': null, 'negotiated': false}, this._options['dataChannel']);
+		let added = [];
+		for (let i = 0; i < count; ++i)
+		{
+			let index = this._nextChannel++;
+			let init = {ordered: settings['ordered']};
+			if (settings['maxRetransmits'] !== null) {
+				init.maxRetransmits = settings['maxRetransmits'];
+			}
+			else if (settings['maxPacketLifeTime'] !== null) {
+				init.maxPacketLifeTime = settings['maxPacketLifeTime'];
+			}
+			if (settings['negotiated'] === true)
+			{
+				init.negotiated = true;
+				init.id = index;
+			}
+			
+			let channel = {
+				'label': index.toString(10),
+				'local': this._localConnection.createDataChannel(index.toString(10), init),
+				'remote': null,
+				'open': false,
+				'remoteOpen': false,
+				'removed': false,
+				'closedUnexpectedly': false,
+				'lastEcho': null,
+				'latency': null
+			};
+			this._channels.push(channel);
+			added.push(channel);
+			
+			// Record the round-trip latency of each echoed heartbeat message
+			this._listen(channel['local'], 'message', (event) =>
+			{
+				let sent = parseFloat(event.data.split(':')[1]);
+				channel['lastEcho'] = window.performance.now();
+				channel['latency'] = channel['lastEcho'] - sent;
+			});
+			
+			// Keep track of whether the channel is open, and whether it was closed without us removing it
+			this._listen(channel['local'], 'open', () => { channel['open'] = true; });
+			this._listen(channel['local'], 'close', () =>
+			{
+				channel['open'] = false;
+				channel['closedUnexpectedly'] = (channel['removed'] === false);
+			});
+			
+			// Create the remote end of pre-negotiated channels ourselves
+			if (settings['negotiated'] === true) {
+				this._configureRemoteChannel(channel, this._remoteConnection.createDataChannel(index.toString(10), init));
+			}
+		}
+		
+		return added;
+	}
+	
+	// Configures the remote end of a data channel to echo all messages back to the sender
+	_configureRemoteChannel(channel, remoteChannel)
+	{
+		channel['remote'] = remoteChannel;
+		this._listen(remoteChannel, 'message', (event) => { remoteChannel.send(event.data); });
+		if (remoteChannel.readyState === 'open') {
+			channel['remoteOpen'] = true;
+		}
+		else {
+			this._listen(remoteChannel, 'open', () => { channel['remoteOpen'] = true; });
+		}
+	}
+	
+	// Closes the specified number of the oldest data channels, returning their descriptors
+	_removeChannels(count)
+	{
+		let removed = this._channels.slice(0, count);
+		for (let channel of removed)
+		{
+			channel['removed'] = true;
+			channel['local'].close();
+		}
+		
+		this._channels = this._channels.slice(count);
+		return removed;
+	}
+	
+	// Creates the specified number of media streams and adds their tracks to the local end of the connection, returning their descriptors
+	async _addStreams(count)
+	{
+		// Create the shared WebAudio context if we are generating synthetic audio
+		let synthetic = this._options['synthetic'];
+		if (synthetic !== null && synthetic['audio'] === true && this._audioContext === null)
+		{
+			this._audioContext = new AudioContext();
+			await this._audioContext.resume();
+		}
+		
+		let added = [];
+		for (let i = 0; i < count; ++i)
+		{
+			// Create either a synthetic source or a looping <video> element that plays our video file, since the streams must
+			// keep playing for as long as the connection is alive
+			let index = this._nextStream++;
+			let source = null;
+			if (synthetic !== null) {
+				source = new SyntheticSource(this._containerLocal, this._audioContext, index, synthetic);
+			}
+			else
+			{
+				let elem = WebRtcLimitTestRun.createVideoElem(this._containerLocal);
+				elem.loop = true;
+				source = new VideoFileSource(elem, this._localVideoURLs, index);
+			}
+			
+			await source.prepare();
+			await source.start();
+			let stream = {
+				'source': source,
+				'stream': source.getStream(),
+				'senders': [],
+				'mids': [],
+				'received': false,
+				'remoteElem': null
+			};
+			for (let track of stream['stream'].getTracks()) {
+				stream['senders'].push(this._localConnection.addTrack(track, stream['stream']));
+			}
+			
+			this._streams.push(stream);
+			added.push(stream);
+		}
+		
+		// Restrict our video transceivers to the requested video codec, if one was specified
+		if (this._options['videoCodec'] !== null) {
+			CodecPreferences.apply(this._localConnection, this._options['videoCodec']);
+		}
+		
+		return added;
+	}
+	
+	// Removes the tracks of the specified number of the oldest media streams from the connection and releases them, returning their descriptors
+	_removeStreams(count)
+	{
+		let removed = this._streams.slice(0, count);
+		for (let stream of removed)
+		{
+			for (let sender of stream['senders']) {
+				this._localConnection.removeTrack(sender);
+			}
+			
+			this._releaseStream(stream);
+		}
+		
+		this._streams = this._streams.slice(count);
+		return removed;
+	}
+	
+	// Stops the local and received tracks of a media stream and releases its source along with its local and remote elements
+	// (This mirrors WebRtcLimitTestRun._release(), since merely pausing a source leaves its decoder and tracks alive for the rest of the run)
+	_releaseStream(stream)
+	{
+		let received = (stream['remoteElem'] !== null) ? stream['remoteElem'].srcObject : null;
+		for (let track of stream['stream'].getTracks().concat((received !== null) ? received.getTracks() : [])) {
+			track.stop();
+		}
+		
+		stream['source'].release();
+		if (stream['remoteElem'] !== null)
+		{
+			WebRtcLimitTestRun.releaseVideoElem(stream['remoteElem']);
+			stream['remoteElem'] = null;
+		}
+	}
+	
+	// Records the media section IDs negotiated for each media stream, so their inbound stats can be identified
+	_recordMids()
+	{
+		let transceivers = this._localConnection.getTransceivers();
+		for (let stream of this._streams)
+		{
+			stream['mids'] = stream['senders']
+				.map((sender) => transceivers.find((t) => t.sender === sender))
+				.filter((t) => t !== undefined && t.mid !== null)
+				.map((t) => t.mid);
+		}
+	}
+	
+	// Performs a new offer/answer exchange between the two ends of the connection, timing each phase
+	async _renegotiate(timer)
+	{
+		const offer = await timer.measure('createOffer', () => this._negotiate(this._localConnection.createOffer(), 'the offer to be created', 'renegotiation'));
+		timer.recordDescription(offer);
+		await timer.measure('setOffer', () => this._negotiate(Promise.all([
+			this._localConnection.setLocalDescription(offer),
+			this._remoteConnection.setRemoteDescription(offer)
+		]), 'the offer to be applied', 'renegotiation'));
+		
+		const answer = await timer.measure('createAnswer', () => this._negotiate(this._remoteConnection.createAnswer(), 'the answer to be created', 'renegotiation'));
+		timer.recordDescription(answer);
+		await timer.measure('setAnswer', () => this._negotiate(Promise.all([
+			this._remoteConnection.setLocalDescription(answer),
+			this._localConnection.setRemoteDescription(answer)
+		]), 'the answer to be applied', 'renegotiation'));
+	}
+	
+	// Waits for the supplied signaling or statistics promise to settle within the negotiation timeout, converting any error into a
+	// "negotiation-error" TestFailure for the specified phase of the step, so that a hung or failed step is classified the same way as a
+	// failed negotiation in other test runs
+	async _negotiate(promise, description, phase)
+	{
+		try {
+			return await PromiseUtils.withTimeout(promise, this._options['negotiationTimeout'], description);
+		}
+		catch (err) {
+			throw this._fail('negotiation-error', phase, (err.message !== undefined) ? err.message : `${err}`);
+		}
+	}
+	
+	// Creates a TestFailure of the specified category for the specified phase of a step, recording the number of active channels and streams
+	_fail(category, phase, message) {
+		return new TestFailure(category, phase, message, {'dataChannels': this._channels.length, 'mediaStreams': this._streams.length});
+	}
+	
+	// Sends a heartbeat message containing the current time over every open data channel
+	_sendHeartbeats()
+	{
+		for (let channel of this._channels)
+		{
+			if (channel['local'].readyState === 'open')
+			{
+				try {
+					channel['local'].send(`heartbeat:${window.performance.now()}`);
+				}
+				catch (err) {
+					console.log(`[Incremental Renegotiation] Failed to send heartbeat over data channel ${channel['label']}: `, err);
+				}
+			}
+		}
+	}
+	
+	// Waits for the settle time and then determines whether the supplied channels kept echoing heartbeats and the supplied streams kept decoding
+	async _checkExisting(channels, streams)
+	{
+		let windowStart = window.performance.now();
+		let before = await this._sampleFramesDecoded();
+		await PromiseUtils.waitForMilliseconds(this._options['settleTime']);
+		let after = await this._sampleFramesDecoded();
+		let elapsed = (window.performance.now() - windowStart) / 1000.0;
+		
+		// A channel has stalled if it closed or no heartbeat was echoed during the settle time
+		let stalled = channels.filter((channel) => channel['closedUnexpectedly'] === true || channel['lastEcho'] === null || channel['lastEcho'] < windowStart);
+		let latencies = channels.map((channel) => channel['latency']).filter((latency) => latency !== null);
+		
+		// Compute the decoded frame rate of each video track of each stream during the settle time
+		let fps = [];
+		for (let stream of streams)
+		{
+			for (let mid of stream['mids'].filter((m) => before.has(m) && after.has(m))) {
+				fps.push((after.get(mid) - before.get(mid)) / elapsed);
+			}
+		}
+		
+		return {
+			'heartbeats': {
+				'channels': channels.length,
+				'stalled': stalled.length,
+				'maxLatency': (latencies.length > 0) ? Math.max(...latencies) : null
+			},
+			'streams': {
+				'tracks': fps.length,
+				'degraded': fps.filter((f) => f < this._options['minStreamFps']).length,
+				'minFps': (fps.length > 0) ? Math.min(...fps) : null
+			}
+		};
+	}
+	
+	// Returns the number of frames decoded so far by each inbound video track of the remote end, keyed by media section ID
+	async _sampleFramesDecoded()
+	{
+		let frames = new Map();
+		let reports = await this._negotiate(this._remoteConnection.getStats(), 'the statistics of the remote end to be retrieved', 'degradation');
+		reports.forEach((report) =>
+		{
+			let kind = (report.kind !== undefined) ? report.kind : report.mediaType;
+			if (report.type === 'inbound-rtp' && kind === 'video' && report.mid !== undefined && report.framesDecoded !== undefined) {
+				frames.set(report.mid, report.framesDecoded);
+			}
+		});
+		
+		return frames;
+	}
+	
+	// Returns a Promise that will be resolved when the supplied function returns true, or rejected if the timeout elapses first
+	async _waitUntil(cond, timeout, description)
+	{
+		let deadline = window.performance.now() + timeout;
+		while (cond() === false)
+		{
+			if (window.performance.now() > deadline) {
+				throw new Error(`timed out waiting for ${description}`);
+			}
+			
+			await PromiseUtils.waitForMilliseconds(100);
+		}
+	}
+	
+	// Stops sending heartbeats, removes our event listeners, releases every media stream and closes both ends of the connection
+	_teardown()
+	{
+		if (this._heartbeatTimer !== null)
+		{
+			window.clearInterval(this._heartbeatTimer);
+			this._heartbeatTimer = null;
+		}
+		
+		this._listeners.abort();
+		for (let stream of this._streams) {
+			this._releaseStream(stream);
+		}
+		this._streams = [];
+		for (let connection of [this._localConnection, this._remoteConnection])
+		{
+			if (connection !== null) {
+				connection.close();
+			}
+		}
+		if (this._audioContext !== null)
+		{
+			this._audioContext.close();
+			this._audioContext = null;
+		}
+	}
+	
+	// Registers an event listener that will be removed when the run is torn down
+	_listen(target, type, listener) {
+		target.addEventListener(type, listener, {signal: this._listeners.signal});
+	}
+}
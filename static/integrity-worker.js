@@ -0,0 +1,149 @@
+'use strict';
+
+
+// Runs in a dedicated worker to tag the encoded frames of each sender with a trailer holding the stream index, kind and sequence number,
+// and to check the trailers of the encoded frames arriving at each receiver for gaps, reordering and frames belonging to another stream
+// (Transforms are attached either by RTCRtpScriptTransform, which fires an `rtctransform` event in this worker, or by posting the streams
+// returned by the legacy createEncodedStreams() API in an "attach" message, and the counters for every transform are posted back to the
+// page in response to a "report" message)
+class EncodedFrameTransforms
+{
+	// The magic number ("WLTH") that identifies the trailers we append
+	static magic() {
+		return 0x574c5448;
+	}
+	
+	// The size of the trailer in bytes (a 32-bit magic number, 16-bit stream index, 8-bit kind, 8 bits of padding and 32-bit sequence number)
+	static trailerSize() {
+		return 12;
+	}
+	
+	// The kinds of track, indexed by the value stored in the trailer
+	static kinds() {
+		return ['audio', 'video'];
+	}
+	
+	// Creates the counters for our transforms, keyed by transform ID
+	constructor() {
+		this._counters = {};
+	}
+	
+	// Pipes the supplied encoded frame streams through a transform that tags or checks each frame, depending on the `side` option
+	// (The options also specify the transform `id`, along with the `stream` index and `kind` of the track that the frames belong to)
+	attach(readable, writable, options)
+	{
+		let counters = {
+			'side': options['side'],
+			'stream': options['stream'],
+			'kind': options['kind']
+		};
+		if (options['side'] === 'send') {
+			counters['sent'] = 0;
+		}
+		else
+		{
+			Object.assign(counters, {
+				'received': 0,
+				'lost': 0,
+				'reordered': 0,
+				'misdelivered': 0,
+				'untagged': 0,
+				'last': null
+			});
+		}
+		
+		this._counters[options['id']] = counters;
+		let transform = (options['side'] === 'send') ? this._tag(counters) : this._check(counters);
+		readable.pipeThrough(transform).pipeTo(writable).catch((err) => {
+			console.log(`[Integrity Worker] Transform ${options['id']} stopped: `, err);
+		});
+	}
+	
+	// Returns the counters for every transform
+	getCounters() {
+		return this._counters;
+	}
+	
+	// Creates a transform that appends our trailer to each encoded frame
+	_tag(counters)
+	{
+		return new TransformStream({
+			transform: (frame, controller) =>
+			{
+				let data = new Uint8Array(frame.data);
+				let tagged = new ArrayBuffer(data.byteLength + EncodedFrameTransforms.trailerSize());
+				new Uint8Array(tagged).set(data, 0);
+				
+				let trailer = new DataView(tagged, data.byteLength);
+				trailer.setUint32(0, EncodedFrameTransforms.magic());
+				trailer.setUint16(4, counters['stream']);
+				trailer.setUint8(6, EncodedFrameTransforms.kinds().indexOf(counters['kind']));
+				trailer.setUint32(8, counters['sent']);
+				
+				counters['sent'] += 1;
+				frame.data = tagged;
+				controller.enqueue(frame);
+			}
+		});
+	}
+	
+	// Creates a transform that checks and strips our trailer from each encoded frame
+	// (Gaps are only counted after the first frame received, since the sender may encode frames before the receiver is ready for them)
+	_check(counters)
+	{
+		return new TransformStream({
+			transform: (frame, controller) =>
+			{
+				let size = EncodedFrameTransforms.trailerSize();
+				let trailer = (frame.data.byteLength >= size) ? new DataView(frame.data, frame.data.byteLength - size) : null;
+				if (trailer === null || trailer.getUint32(0) !== EncodedFrameTransforms.magic())
+				{
+					counters['untagged'] += 1;
+					controller.enqueue(frame);
+					return;
+				}
+				
+				let stream = trailer.getUint16(4);
+				let kind = EncodedFrameTransforms.kinds()[trailer.getUint8(6)];
+				let sequence = trailer.getUint32(8);
+				frame.data = frame.data.slice(0, frame.data.byteLength - size);
+				
+				if (stream !== counters['stream'] || kind !== counters['kind']) {
+					counters['misdelivered'] += 1;
+				}
+				else if (counters['last'] !== null && sequence <= counters['last'])
+				{
+					counters['received'] += 1;
+					counters['reordered'] += 1;
+				}
+				else
+				{
+					counters['received'] += 1;
+					counters['lost'] += (counters['last'] !== null) ? sequence - counters['last'] - 1 : 0;
+					counters['last'] = sequence;
+				}
+				
+				controller.enqueue(frame);
+			}
+		});
+	}
+}
+
+
+const transforms = new EncodedFrameTransforms();
+
+// Attach the transforms created by RTCRtpScriptTransform
+self.addEventListener('rtctransform', (event) => {
+	transforms.attach(event.transformer.readable, event.transformer.writable, event.transformer.options);
+});
+
+// Attach the transforms posted by the page when using createEncodedStreams(), and report our counters when requested
+self.addEventListener('message', (event) =>
+{
+	if (event.data['type'] === 'attach') {
+		transforms.attach(event.data['readable'], event.data['writable'], event.data['options']);
+	}
+	else if (event.data['type'] === 'report') {
+		self.postMessage({'type': 'report', 'counters': transforms.getCounters()});
+	}
+});
@@ -0,0 +1,167 @@
+'use strict';
+
+
+// Verifies the integrity of the encoded frames of each media stream by attaching encoded transforms (insertable streams) to every sender
+// and receiver, which tag each frame with its stream index, kind and sequence number and check for gaps, reordering and frames that
+// arrive on the wrong track (the transforms themselves run in a worker, see integrity-worker.js)
+// (Each receiver is expected to receive the frames of the stream whose index is supplied when it is watched, so a browser that quietly
+// mixes up or drops streams as the limit is approached is detected even when every stream still renders something)
+class EncodedFrameIntegrity
+{
+	// Returns the encoded transform API supported by the browser ("script" for RTCRtpScriptTransform, "encoded-streams" for the legacy
+	// createEncodedStreams() API, which requires the peer connections to be created with `encodedInsertableStreams`), or null if neither is
+	static api()
+	{
+		if (window.RTCRtpScriptTransform !== undefined) {
+			return 'script';
+		}
+		if (window.RTCRtpSender !== undefined && RTCRtpSender.prototype.createEncodedStreams !== undefined) {
+			return 'encoded-streams';
+		}
+		
+		return null;
+	}
+	
+	// Configures the verifier with the maximum fraction of frames that each track may lose, and starts the worker that runs our transforms
+	constructor(maxLossRatio)
+	{
+		this._api = EncodedFrameIntegrity.api();
+		this._maxLossRatio = maxLossRatio;
+		this._worker = new Worker('./integrity-worker.js');
+		this._numTransforms = 0;
+		this._summary = null;
+	}
+	
+	// Returns the configuration that our peer connections must be created with for the transforms to be attached
+	getConnectionConfig() {
+		return (this._api === 'encoded-streams') ? {'encodedInsertableStreams': true} : {};
+	}
+	
+	// Tags the encoded frames sent by the supplied sender as belonging to the stream with the specified index
+	watchSender(sender, stream) {
+		this._attach(sender, {'side': 'send', 'stream': stream, 'kind': sender.track.kind});
+	}
+	
+	// Checks that the encoded frames arriving at the supplied receiver belong to the stream with the specified index and arrive in order
+	// (This must be called from the `track` event handler, before any frames arrive)
+	watchReceiver(receiver, stream) {
+		this._attach(receiver, {'side': 'receive', 'stream': stream, 'kind': receiver.track.kind});
+	}
+	
+	// Retrieves the counters from our transforms and summarises them per track, returning the summary
+	async collect(timeout)
+	{
+		let counters = await Promise.race([
+			new Promise((resolve, _) =>
+			{
+				this._worker.addEventListener('message', (event) => { resolve(event.data['counters']); }, {once: true});
+				this._worker.postMessage({'type': 'report'});
+			}),
+			PromiseUtils.waitForMilliseconds((timeout !== undefined) ? timeout : 5000).then(() => null)
+		]);
+		if (counters === null) {
+			throw new Error('the encoded frame integrity worker did not report its counters');
+		}
+		
+		// Combine the counters for the sender and receivers of each track, keyed by stream index and kind
+		let tracks = new Map();
+		for (let entry of Object.values(counters))
+		{
+			let key = `${entry['stream']}-${entry['kind']}`;
+			if (tracks.has(key) === false)
+			{
+				tracks.set(key, {
+					'stream': entry['stream'],
+					'kind': entry['kind'],
+					'sent': null,
+					'receivers': 0,
+					'received': 0,
+					'lost': 0,
+					'reordered': 0,
+					'misdelivered': 0,
+					'untagged': 0
+				});
+			}
+			
+			let track = tracks.get(key);
+			if (entry['side'] === 'send') {
+				track['sent'] = entry['sent'];
+			}
+			else
+			{
+				track['receivers'] += 1;
+				for (let field of ['received', 'lost', 'reordered', 'misdelivered', 'untagged']) {
+					track[field] += entry[field];
+				}
+			}
+		}
+		
+		this._summary = {
+			'api': this._api,
+			'tracks': Array.from(tracks.values()).sort((a, b) => a['stream'] - b['stream'] || a['kind'].localeCompare(b['kind'])).map((track) =>
+				Object.assign(track, {
+					'lossRatio': (track['received'] + track['lost'] > 0) ? track['lost'] / (track['received'] + track['lost']) : null
+				})
+			)
+		};
+		
+		return this._summary;
+	}
+	
+	// Returns the per-track summary, or null if the counters have not been collected
+	getSummary() {
+		return this._summary;
+	}
+	
+	// Returns descriptions of the tracks that were never received, received frames belonging to another track or out of order,
+	// or lost more than the maximum fraction of their frames
+	findFailures()
+	{
+		let failures = [];
+		for (let track of (this._summary !== null) ? this._summary['tracks'] : [])
+		{
+			let name = `${track['kind']} track of stream ${track['stream']}`;
+			if (track['receivers'] === 0 || track['received'] === 0) {
+				failures.push(`${name} received no tagged frames`);
+			}
+			else if (track['misdelivered'] > 0) {
+				failures.push(`${name} received ${track['misdelivered']} frame(s) belonging to another track`);
+			}
+			else if (track['untagged'] > 0) {
+				failures.push(`${name} received ${track['untagged']} untagged frame(s)`);
+			}
+			else if (track['reordered'] > 0) {
+				failures.push(`${name} received ${track['reordered']} frame(s) out of order`);
+			}
+			else if (track['lossRatio'] !== null && track['lossRatio'] > this._maxLossRatio) {
+				failures.push(`${name} lost ${(track['lossRatio'] * 100).toFixed(1)}% of frames`);
+			}
+		}
+		
+		return failures;
+	}
+	
+	// Stops the worker that runs our transforms
+	stop() {
+		this._worker.terminate();
+	}
+	
+	// Attaches a transform with the supplied options to a sender or receiver
+	_attach(target, options)
+	{
+		options['id'] = `${options['side']}-${this._numTransforms}`;
+		this._numTransforms += 1;
+		
+		if (this._api === 'script') {
+			target.transform = new RTCRtpScriptTransform(this._worker, options);
+		}
+		else
+		{
+			let streams = target.createEncodedStreams();
+			this._worker.postMessage(
+				{'type': 'attach', 'readable': streams.readable, 'writable': streams.writable, 'options': options},
+				[streams.readable, streams.writable]
+			);
+		}
+	}
+}
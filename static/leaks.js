@@ -0,0 +1,145 @@
+'use strict';
+
+
+// Samples the resources held by the page between test runs and flags any growth beyond a baseline sampled before the first run,
+// so that a reported limit can be distinguished from an artifact of resources accumulated by earlier test runs
+// (Every media track created or received by a test run is expected to have ended, and every <video>, <audio> and <canvas> element
+// to have been removed, once the run is torn down, whereas the total DOM node count is reported but not flagged since the status log grows)
+class LeakMonitor
+{
+	// Configures the monitor with the memory growth in bytes that is flagged as a leak, and the time in milliseconds to wait for a memory measurement
+	constructor(maxMemoryGrowth, memoryTimeout)
+	{
+		this._maxMemoryGrowth = maxMemoryGrowth;
+		this._memoryTimeout = (memoryTimeout !== undefined) ? memoryTimeout : 20 * 1000;
+		this._tracks = new Set();
+		this._baseline = null;
+		this._latest = null;
+		this._checks = 0;
+		this._flagged = 0;
+	}
+	
+	// Watches the supplied media tracks, so they can be counted if they are still live between test runs
+	// (Only weak references are held, so watching a track does not itself prevent it from being garbage collected)
+	watchTracks(tracks)
+	{
+		for (let track of tracks) {
+			this._tracks.add(new WeakRef(track));
+		}
+	}
+	
+	// Returns the number of watched media tracks that are still live
+	countLiveTracks()
+	{
+		let live = 0;
+		for (let ref of Array.from(this._tracks))
+		{
+			let track = ref.deref();
+			if (track === undefined || track.readyState === 'ended') {
+				this._tracks.delete(ref);
+			}
+			else {
+				live += 1;
+			}
+		}
+		
+		return live;
+	}
+	
+	// Samples the memory used by the page, the number of live media tracks, and the number of DOM nodes and media elements
+	async sample()
+	{
+		let memory = await LeakMonitor._measureMemory(this._memoryTimeout);
+		return {
+			'timestamp': new Date().toISOString(),
+			'memory': memory['bytes'],
+			'memorySource': memory['source'],
+			'tracks': this.countLiveTracks(),
+			'nodes': document.getElementsByTagName('*').length,
+			'mediaElements': document.querySelectorAll('video, audio, canvas').length
+		};
+	}
+	
+	// Samples the baseline that subsequent checks are compared against
+	async start()
+	{
+		this._baseline = await this.sample();
+		this._latest = this._baseline;
+		return this._baseline;
+	}
+	
+	// Samples the current resources and compares them against the baseline, returning the sample, the growth and a description of each leak
+	async check()
+	{
+		let sample = await this.sample();
+		let growth = {
+			'memory': (sample['memory'] !== null && this._baseline['memory'] !== null && sample['memorySource'] === this._baseline['memorySource']) ?
+				sample['memory'] - this._baseline['memory'] :
+				null,
+			'tracks': sample['tracks'] - this._baseline['tracks'],
+			'nodes': sample['nodes'] - this._baseline['nodes'],
+			'mediaElements': sample['mediaElements'] - this._baseline['mediaElements']
+		};
+		
+		let leaks = [];
+		if (growth['tracks'] > 0) {
+			leaks.push(`${growth['tracks']} media track(s) still live`);
+		}
+		if (growth['mediaElements'] > 0) {
+			leaks.push(`${growth['mediaElements']} more <video>, <audio> or <canvas> element(s) than the baseline`);
+		}
+		if (growth['memory'] !== null && growth['memory'] > this._maxMemoryGrowth) {
+			leaks.push(`memory grew by ${(growth['memory'] / (1024 * 1024)).toFixed(1)}MiB (measured by ${sample['memorySource']})`);
+		}
+		
+		this._latest = sample;
+		this._checks += 1;
+		this._flagged += (leaks.length > 0) ? 1 : 0;
+		return {
+			'sample': sample,
+			'growth': growth,
+			'leaks': leaks
+		};
+	}
+	
+	// Returns the baseline sample, the most recent sample, and the number of checks performed and flagged
+	getSummary()
+	{
+		return {
+			'baseline': this._baseline,
+			'latest': this._latest,
+			'checks': this._checks,
+			'flagged': this._flagged
+		};
+	}
+	
+	// Measures the memory used by the page, returning the number of bytes and the API used to measure it, or null if no API is available
+	// (measureUserAgentSpecificMemory() is only available to cross-origin isolated pages and resolves after the next garbage collection, so
+	// we fall back to the non-standard performance.memory if it is unavailable or does not resolve within the timeout)
+	// (The Python webserver serves the test harness with the COOP and COEP headers that make it cross-origin isolated)
+	static async _measureMemory(timeout)
+	{
+		if (window.crossOriginIsolated === true && typeof window.performance.measureUserAgentSpecificMemory === 'function')
+		{
+			try
+			{
+				let result = await Promise.race([
+					window.performance.measureUserAgentSpecificMemory(),
+					PromiseUtils.waitForMilliseconds(timeout).then(() => null)
+				]);
+				if (result !== null) {
+					return {'bytes': result.bytes, 'source': 'measureUserAgentSpecificMemory'};
+				}
+			}
+			catch (err) {
+				console.log('[Leak Monitor] Failed to measure memory: ', err);
+			}
+		}
+		
+		if (window.performance.memory !== undefined) {
+			return {'bytes': window.performance.memory.usedJSHeapSize, 'source': 'performance.memory'};
+		}
+		
+		return {'bytes': null, 'source': null};
+	}
+}
@@ -0,0 +1,265 @@
+'use strict';
+
+
+// Queues structured log entries and submits them to the server in batches, so that logging never blocks the main thread during a test run
+// (Entries are buffered until a session ID is available and flushed asynchronously at a fixed interval or whenever a batch fills up,
+// and anything still queued is sent with navigator.sendBeacon() when the page is hidden, unloaded or hits an uncaught error, since an
+// asynchronous request may never complete at that point)
+class LogTransport
+{
+	// The levels of log entry, in increasing order of severity
+	static levels() {
+		return ['debug', 'info', 'warning', 'error'];
+	}
+	
+	// The maximum length of a log message, beyond which it is truncated
+	// (Even when every character needs escaping, a message of this length fits comfortably within a single beacon payload)
+	static maxMessageLength() {
+		return 4096;
+	}
+	
+	// The maximum size in bytes of a payload submitted with navigator.sendBeacon(), leaving headroom below the 64 KiB that browsers
+	// allow to be queued by beacons at any one time
+	static maxBeaconBytes() {
+		return 60000;
+	}
+	
+	// Configures the transport with the URL that entries are submitted to, the interval in milliseconds between flushes, the maximum
+	// number of entries per batch, and the maximum number of entries buffered before the oldest are discarded
+	constructor(url, flushInterval, batchSize, maxBuffered)
+	{
+		this._url = url;
+		this._flushInterval = (flushInterval !== undefined) ? flushInterval : 1000;
+		this._batchSize = (batchSize !== undefined) ? batchSize : 200;
+		this._maxBuffered = (maxBuffered !== undefined) ? maxBuffered : 10000;
+		this._sessionID = null;
+		this._queue = [];
+		this._discarded = 0;
+		this._warnings = new WeakMap();
+		this._inFlight = false;
+		this._timer = null;
+		
+		// Keep a reference to the original console.log() so entries can be printed without being captured again
+		this._print = console.log.bind(console);
+		this._capturing = false;
+		
+		// Send anything still queued when the page is hidden, unloaded or hits an uncaught error
+		window.addEventListener('pagehide', () => { this.flushBeacon(); });
+		window.addEventListener('error', () => { this.flushBeacon(); });
+		document.addEventListener('visibilitychange', () =>
+		{
+			if (document.visibilityState === 'hidden') {
+				this.flushBeacon();
+			}
+		});
+	}
+	
+	// Sets the session ID used when submitting entries to the server and submits any entries that were logged prior to it being available
+	setSession(sessionID)
+	{
+		this._sessionID = sessionID;
+		this._schedule();
+	}
+	
+	// Prints a log entry with the specified level and source to the console and queues it for submission to the server
+	// (An entry that is appended continues the previous entry, as when a status message is followed by the outcome on the same line)
+	log(level, source, message, append)
+	{
+		if (LogTransport.levels().includes(level) === false) {
+			throw new Error(`invalid log level "${level}"`);
+		}
+		
+		this._print(`[${source}] ${message}`);
+		this._enqueue(level, source, message, append === true);
+	}
+	
+	// Starts capturing the output of console.log() as debug entries, taking the source from a leading "[Source]" prefix if there is one
+	// (This covers the per-channel and per-track debug output of each test run, which can be voluminous when testing large numbers of channels)
+	captureConsole()
+	{
+		if (this._capturing === true) {
+			return;
+		}
+		
+		this._capturing = true;
+		console.log = (...args) =>
+		{
+			this._print(...args);
+			let text = args.map((arg) => LogTransport._stringify(arg)).join(' ');
+			let matches = /^\[([^\]]+)\]\s*/.exec(text);
+			this._enqueue('debug', (matches !== null) ? matches[1] : 'console', (matches !== null) ? text.slice(matches[0].length) : text, false);
+		};
+	}
+	
+	// Stops capturing the output of console.log()
+	releaseConsole()
+	{
+		if (this._capturing === true)
+		{
+			console.log = this._print;
+			this._capturing = false;
+		}
+	}
+	
+	// Submits the next batch of queued entries to the server, unless we have no session ID or a batch is already being submitted
+	// (A batch that fails to reach the server is requeued, whereas a batch that the server rejects is discarded, since it would never be accepted)
+	async flush()
+	{
+		if (this._sessionID === null || this._inFlight === true || this._queue.length === 0) {
+			return;
+		}
+		
+		let batch = this._takeBatch();
+		this._inFlight = true;
+		try
+		{
+			let response = await fetch(this._url, {
+				method: 'POST',
+				headers: {'Content-Type': 'application/json; charset=utf-8'},
+				body: JSON.stringify({'session': this._sessionID, 'entries': batch})
+			});
+			if (response.ok === false)
+			{
+				this._discarded += batch.length;
+				this._print(`[Log Transport] The server rejected ${batch.length} log entries (status ${response.status})`);
+			}
+		}
+		catch (err) {
+			this._requeue(batch);
+		}
+		finally {
+			this._inFlight = false;
+		}
+		
+		this._schedule();
+	}
+	
+	// Submits every queued entry to the server with navigator.sendBeacon(), which completes even if the page is being unloaded
+	// (Batches are split until their payload fits within the beacon size limit, since the browser refuses oversized beacons outright)
+	flushBeacon()
+	{
+		while (this._sessionID !== null && this._queue.length > 0)
+		{
+			// Return the newest half of the batch to the queue until the remainder fits within a single beacon
+			let batch = this._takeBatch();
+			let payload = this._beaconPayload(batch);
+			while (payload.size > LogTransport.maxBeaconBytes() && batch.length > 1)
+			{
+				this._queue.unshift(...batch.splice(Math.ceil(batch.length / 2)));
+				payload = this._beaconPayload(batch);
+			}
+			
+			if (navigator.sendBeacon(this._url, payload) === false)
+			{
+				// The browser refused to queue the beacon (e.g. because its payload limit was reached), so keep the entries for later
+				this._requeue(batch);
+				break;
+			}
+		}
+	}
+	
+	// Adds an entry to the queue, truncating its message if it is too long and discarding the oldest entry if the queue is full, and schedules a flush
+	_enqueue(level, source, message, append)
+	{
+		if (message.length > LogTransport.maxMessageLength()) {
+			message = `${message.slice(0, LogTransport.maxMessageLength())}... (truncated ${message.length - LogTransport.maxMessageLength()} characters)`;
+		}
+		
+		if (this._queue.length >= this._maxBuffered)
+		{
+			this._queue.shift();
+			this._discarded += 1;
+		}
+		
+		this._queue.push({
+			'timestamp': new Date().toISOString(),
+			'level': level,
+			'source': source,
+			'message': message,
+			'append': append
+		});
+		
+		if (this._queue.length >= this._batchSize) {
+			this.flush();
+		}
+		else {
+			this._schedule();
+		}
+	}
+	
+	// Removes the next batch of entries from the queue, preceded by a warning if any entries have been discarded since the last batch
+	_takeBatch()
+	{
+		let batch = this._queue.splice(0, this._batchSize);
+		if (this._discarded > 0)
+		{
+			let warning = {
+				'timestamp': new Date().toISOString(),
+				'level': 'warning',
+				'source': 'Log Transport',
+				'message': `${this._discarded} log entries were discarded because the queue was full or the server rejected them`,
+				'append': false
+			};
+			this._warnings.set(warning, this._discarded);
+			batch.unshift(warning);
+			this._discarded = 0;
+		}
+		
+		return batch;
+	}
+	
+	// Returns a batch that could not be submitted to the front of the queue, discarding the oldest entries if the queue is now over its maximum size
+	// (Any warning that preceded the batch is dropped and its count of discarded entries restored, so the next batch reports an accurate total)
+	_requeue(batch)
+	{
+		if (batch.length > 0 && this._warnings.has(batch[0]) === true)
+		{
+			this._discarded += this._warnings.get(batch[0]);
+			batch = batch.slice(1);
+		}
+		
+		this._queue.unshift(...batch);
+		let excess = this._queue.length - this._maxBuffered;
+		if (excess > 0)
+		{
+			this._queue.splice(0, excess);
+			this._discarded += excess;
+		}
+	}
+	
+	// Creates the payload for submitting a batch of entries with navigator.sendBeacon()
+	_beaconPayload(batch) {
+		return new Blob([JSON.stringify({'session': this._sessionID, 'entries': batch})], {type: 'application/json'});
+	}
+	
+	// Schedules a flush after the flush interval, unless one is already scheduled or there is nothing to flush
+	_schedule()
+	{
+		if (this._timer !== null || this._sessionID === null || this._queue.length === 0) {
+			return;
+		}
+		
+		this._timer = window.setTimeout(() =>
+		{
+			this._timer = null;
+			this.flush();
+		}, this._flushInterval);
+	}
+	
+	// Converts an argument passed to console.log() into text
+	static _stringify(arg)
+	{
+		if (typeof arg === 'string' || arg instanceof Error) {
+			return `${arg}`;
+		}
+		
+		try
+		{
+			let json = JSON.stringify(arg);
+			return (json !== undefined) ? json : `${arg}`;
+		}
+		catch (err) {
+			return `${arg}`;
+		}
+	}
+}
@@ -21,10 +21,31 @@ class PromiseUtils
 		});
 	}
 	
-	// Returns a Promise that will be resolved when the supplied function returns true
+	// Returns a Promise that will be resolved when the supplied promise settles, or rejected with a "TimeoutError" DOMException if the
+	// specified timeout in milliseconds elapses first (a timeout of undefined or null waits indefinitely)
+	static withTimeout(promise, timeout, description)
+	{
+		if (timeout === undefined || timeout === null) {
+			return promise;
+		}
+		
+		let timer = null;
+		return Promise.race([
+			promise,
+			new Promise((_, reject) =>
+			{
+				timer = window.setTimeout(() => {
+					reject(new DOMException(`timed out after ${timeout} milliseconds waiting for ${description}`, 'TimeoutError'));
+				}, timeout);
+			})
+		]).finally(() => { window.clearTimeout(timer); });
+	}
+	
+	// Returns a Promise that will be resolved when the supplied function returns true, or rejected if the optional timeout elapses first
 	// (Based on the example here: <https://stackoverflow.com/a/45489272>)
-	static waitForCondition(cond)
+	static waitForCondition(cond, timeout)
 	{
+		let deadline = (timeout !== undefined && timeout !== null) ? window.performance.now() + timeout : null;
 		return new Promise((resolve, reject) =>
 		{
 			function performCheck()
@@ -34,6 +55,9 @@ class PromiseUtils
 					if (cond() === true) {
 						resolve();
 					}
+					else if (deadline !== null && window.performance.now() >= deadline) {
+						reject(new DOMException(`timed out after ${timeout} milliseconds waiting for a condition`, 'TimeoutError'));
+					}
 					else {
 						window.setTimeout(performCheck, 1000);
 					}
@@ -48,9 +72,11 @@ class PromiseUtils
 	}
 	
 	// Returns a Promise that will be resolved when the specified event is fired by the supplied EventTarget
-	static waitForEvent(target, successEvent, failureEvent)
+	// (If an AbortSignal is supplied then the event handlers are removed when it is aborted, leaving the Promise unsettled, and if a
+	// timeout is supplied then the Promise is rejected if the event has not fired once that many milliseconds have elapsed)
+	static waitForEvent(target, successEvent, failureEvent, signal, timeout)
 	{
-		return new Promise((resolve, reject) =>
+		return PromiseUtils.withTimeout(new Promise((resolve, reject) =>
 		{
 			try
 			{
@@ -58,23 +84,23 @@ class PromiseUtils
 				target.addEventListener(
 					successEvent,
 					() => { resolve(); },
-					{once: true}
+					{once: true, signal: signal}
 				);
 				
 				// If an event was specified that signals failure, add an event handler for that too
-				if (failureEvent !== undefined)
+				if (failureEvent !== undefined && failureEvent !== null)
 				{
 					target.addEventListener(
 						failureEvent,
 						() => { reject(new Error(`failure event triggered ("${failureEvent}")`)); },
-						{once: true}
+						{once: true, signal: signal}
 					);
 				}
 			}
 			catch (err) {
 				reject(err);
 			}
-		});
+		}), timeout, `the "${successEvent}" event`);
 	}
 }
 
@@ -83,22 +109,43 @@ class PromiseUtils
 class WebRtcLimitTestRun
 {
 	// Configures the test suite with the specified values
-	constructor(containerElemLocal, containerElemRemote, localVideoURLs, numMediaStreams, numDataChannels)
+	constructor(containerElemLocal, containerElemRemote, localVideoURLs, numMediaStreams, numDataChannels, options)
 	{
 		this._events = new EventTarget();
 		this._localConnection = null;
 		this._remoteConnection = null;
 		this._dataChannels = [];
-		this._localVideoElems = [];
+		this._sources = [];
 		this._remoteVideoElems = [];
 		this._mediaStreams = [];
+		this._audioContext = null;
+		this._payloadErrors = [];
+		this._payloadSummary = null;
 		this._mediaDuration = 0.0;
+		this._stats = null;
+		this._frames = null;
+		this._integrity = null;
+		this._pendingCandidates = [];
+		this._unsubscribeCandidates = null;
+		this._answererNotified = false;
+		this._remoteSummary = null;
+		this._negotiatedCodecs = [];
+		this._encodingSummary = null;
+		this._timing = new PhaseTimer();
+		this._sourcesCompleted = 0;
+		
+		// The phase of the test run that is in progress, and the category of failure for any unexpected error during that phase
+		this._phase = null;
+		this._phaseCategory = null;
+		
+		// Every event listener registered by the test run is removed by aborting this controller once the run has been torn down
+		this._listeners = new AbortController();
 		
 		// Store a reference the container elements in which we will place generated HTML elements
 		this._containerLocal = $(containerElemLocal);
 		this._containerRemote = $(containerElemRemote);
 		
-		// Store the list of URLs for the video file which will act as the source of our "local" peer's media stream
+		// Store the list of URLs for the video file which will act as the source of our "local" peer's media stream when we are not using synthetic media
 		// (Note that we take a list of URLs so we can provide multiple codec options, e.g. H.264 and VP9)
 		this._localVideoURLs = localVideoURLs;
 		
@@ -107,22 +154,191 @@ class WebRtcLimitTestRun
 		
 		// Keep track of how many simultaneous WebRTC data channels we should attempt to create
 		this._numDataChannels = numDataChannels;
+		
+		// Store our optional settings, falling back to defaults for any that are not specified
+		// (`statsInterval` is the getStats() sampling interval in milliseconds, and a non-null `minDecodedFps` fails the
+		// test run if any inbound video track averages fewer decoded frames per second than the specified threshold)
+		// (`verifyRemoteFrames` enables counting and pixel sampling of the frames rendered by the remote <video> elements, failing
+		// the test run if any stream never renders, freezes, renders only black frames or delivers fewer than `minDeliveryRatio` of its frames)
+		// (`verifyEncodedFrames` attaches encoded transforms to every sender and receiver that tag each frame with its stream and sequence number,
+		// failing the test run if any track receives frames belonging to another track or out of order, or loses more than `maxFrameLossRatio` of them)
+		// (A non-null `synthetic` object replaces the video file with media generated from a canvas and/or a WebAudio oscillator, and
+		// specifies its `width`, `height`, `frameRate`, `duration` in seconds, and whether to include `audio` and/or `video` tracks)
+		// (`dataChannel` specifies the reliability settings for each data channel, whether the channels are pre-negotiated with explicit IDs,
+		// and the sizes of the text or binary payloads that are echoed back and verified, with an empty list sending a single short message)
+		// (A non-null `signaling` object specifies a SignalingChannel, our `role` ("offerer" or "answerer") and optionally the `run` ID, in
+		// which case only our end of the connection lives in this page and the other end is created by a peer in another tab or browser)
+		// (`signalingTimeout` is the time in milliseconds to wait for each message from our signaling peer, and the remaining timeouts are the
+		// times in milliseconds allowed for each phase of the test run, with `playbackTimeout` allowed in addition to the duration of the media)
+		// (A non-null `videoCodec` object specifies the `mimeType` and `sdpFmtpLine` of the only video codec that may be used on the wire)
+		// (A non-null `encodingProfile` object, as parsed by SenderEncodings, specifies the encodings of every video sender)
+		// (A non-null `barrier` function returns a promise that is awaited before disconnecting, so that concurrent test runs keep their
+		// connections open until all of them have verified their messages, and `clearContainers` is disabled for such runs since they share containers)
+		// (A non-null `leakMonitor` is a LeakMonitor that watches every track we create or receive, so tracks left live after teardown can be detected)
+		// (`connection` is the RTCConfiguration for both ends of the peer connection, as built by TransportConfig)
+		// (`hooks` specifies any of the async functions `beforeConnect`, `afterOpen`, `duringMedia` and `beforeTeardown`, which receive the test
+		// run and are awaited after the data channels are created, after they open, once media is playing and before disconnecting respectively,
+		// with any error they throw failing the test run as an error in that phase, although hooks are not called at the answering end of a run)
+		this._options = Object.assign({
+			'statsInterval': 1000,
+			'minDecodedFps': null,
+			'verifyRemoteFrames': false,
+			'minDeliveryRatio': 0.5,
+			'frameSampleInterval': 500,
+			'frozenSamples': 4,
+			'blackThreshold': 16,
+			'verifyEncodedFrames': false,
+			'maxFrameLossRatio': 0.05,
+			'synthetic': null,
+			'dataChannel': {},
+			'signaling': null,
+			'signalingTimeout': 60 * 1000,
+			'setupTimeout': 120 * 1000,
+			'negotiationTimeout': 60 * 1000,
+			'iceTimeout': 30 * 1000,
+			'channelOpenTimeout': 60 * 1000,
+			'echoTimeout': 60 * 1000,
+			'playbackTimeout': 30 * 1000,
+			'teardownTimeout': 30 * 1000,
+			'videoCodec': null,
+			'encodingProfile': null,
+			'barrier': null,
+			'clearContainers': true,
+			'leakMonitor': null,
+			'connection': {},
+			'hooks': {}
+		}, (options !== undefined) ? options : {});
+		this._options['dataChannel'] = Object.assign({
+			'ordered': true,
+			'maxRetransmits': null,
+			'maxPacketLifeTime': null,
+			'negotiated': false,
+			'binary': false,
+			'payloadSizes': []
+		}, this._options['dataChannel']);
+		
+		// Determine which ends of the connection live in this page, and the ID that identifies this test run to our signaling peer
+		let signaling = this._options['signaling'];
+		this._signaling = (signaling !== null) ? signaling['channel'] : null;
+		this._role = (signaling !== null) ? signaling['role'] : 'loopback';
+		this._runID = (signaling !== null && signaling['run'] !== undefined) ? signaling['run'] : window.crypto.randomUUID();
 	}
 	
-	// Returns the duration (in seconds) of the video file that was used during the test run
+	// Returns the duration (in seconds) of the media that was used during the test run
 	// (This will return 0 if called prior to test run completion)
 	getMediaDuration() {
 		return this._mediaDuration;
 	}
 	
+	// Returns the number of simultaneous WebRTC media streams that the test run attempts to transmit
+	getNumMediaStreams() {
+		return this._numMediaStreams;
+	}
+	
+	// Returns the number of simultaneous WebRTC data channels that the test run attempts to create
+	getNumDataChannels() {
+		return this._numDataChannels;
+	}
+	
+	// Returns the number of concurrent peer connection pairs that the test run attempts to create, which is always one
+	getNumPeerConnections() {
+		return 1;
+	}
+	
+	// Returns null, since the outcome of a single peer connection pair is covered by the rest of the results
+	getPeerConnectionSummary() {
+		return null;
+	}
+	
+	// Returns the summary of the getStats() metrics sampled during the test run, or null if sampling never started
+	getStatsSummary() {
+		return (this._stats !== null) ? this._stats.getSummary() : null;
+	}
+	
+	// Returns the per-stream summary of remote frame delivery, or null if remote frame verification was not enabled
+	getFrameSummary() {
+		return (this._frames !== null) ? this._frames.getSummary() : null;
+	}
+	
+	// Returns the per-track summary of encoded frame integrity, or null if encoded frame verification was not enabled or never completed
+	getIntegritySummary() {
+		return (this._integrity !== null) ? this._integrity.getSummary() : null;
+	}
+	
+	// Returns the reliability, negotiation and payload settings used for the data channels
+	getDataChannelSettings() {
+		return this._options['dataChannel'];
+	}
+	
+	// Returns the summary of the payloads transmitted over the data channels, or null if no payloads were transmitted
+	getPayloadSummary() {
+		return this._payloadSummary;
+	}
+	
+	// Returns the requested video codec, the video codecs negotiated in the SDP, and the video codecs reported by getStats()
+	getCodecSummary()
+	{
+		let stats = this.getStatsSummary();
+		return {
+			'requested': (this._options['videoCodec'] !== null) ? CodecPreferences.describe(this._options['videoCodec']) : null,
+			'negotiated': this._negotiatedCodecs.map((codec) => CodecPreferences.describe(codec)),
+			'stats': (stats !== null) ? stats['videoCodecs'] : []
+		};
+	}
+	
+	// Returns the encoding profile applied to our video senders and the encodings reported by the first of them after negotiation,
+	// or null if no encoding profile was specified
+	getEncodingSummary() {
+		return this._encodingSummary;
+	}
+	
+	// Returns the timestamps of each phase of the test run and the sizes of the offer and answer
+	getTimingSummary() {
+		return this._timing.getSummary();
+	}
+	
+	// Returns our role in the connection ("loopback" when both ends live in this page, otherwise "offerer" or "answerer")
+	getRole() {
+		return this._role;
+	}
+	
+	// Returns the summary reported by the answering peer in another browser, or null if there was none
+	getRemoteSummary() {
+		return this._remoteSummary;
+	}
+	
+	// Returns the ends of the peer connection that live in this page, keyed by "local" and "remote" (for use by hooks)
+	getPeerConnections() {
+		return this._ownConnections();
+	}
+	
 	// Runs our test suite
 	async run()
 	{
+		// If we are only the answering end of the connection then our peer drives the test run
+		if (this._role === 'answerer') {
+			return await this._answer();
+		}
+		
 		try
 		{
+			// Let our answering peer know that a new test run is starting, so it can create the other end of the connection
+			this._enter('setup', 'setup-exception');
+			if (this._role === 'offerer')
+			{
+				console.log(`[Test Harness] Starting test run ${this._runID} with answering peer...`);
+				await this._signaling.send('run', this._runID, {
+					'numMediaStreams': this._numMediaStreams,
+					'numDataChannels': this._numDataChannels,
+					'dataChannel': this._options['dataChannel'],
+					'statsInterval': this._options['statsInterval'],
+					'minDecodedFps': this._options['minDecodedFps']
+				});
+			}
+			
 			// Create the "local" and "remote" ends of our WebRTC peer connection
 			console.log('[Test Harness] Performing setup...');
-			await this._setup();
+			await this._await(this._timing.measure('setup', () => this._setup()), this._options['setupTimeout'], 'setup to complete');
 			
 			// Create our data channels
 			console.log(`[Test Harness] Creating ${this._numDataChannels} data channels...`);
@@ -133,152 +349,404 @@ class WebRtcLimitTestRun
 			// Create the promises for detecting our data channel lifecycle events
 			// (We do this prior to yielding for anything else to ensure our event handlers are registered prior to any of the events actually being fired)
 			// (Note that we specify a failure event for the first promise, so we can detect failures when we have more data channels than the browser supports)
-			let promiseLocalOpen = Promise.all(this._dataChannels.map((_, index) => PromiseUtils.waitForEvent(this._events, `channel-open-local-${index}`, `channel-closed-local-${index}`)));
-			let promiseRemoteOpen = Promise.all(this._dataChannels.map((_, index) => PromiseUtils.waitForEvent(this._events, `channel-open-remote-${index}`, `channel-closed-local-${index}`)));
-			let promiseRemoteReceived = Promise.all(this._dataChannels.map((_, index) => PromiseUtils.waitForEvent(this._events, `data-received-remote-${index}`, `channel-closed-local-${index}`)));
-			let promiseLocalReceived = Promise.all(this._dataChannels.map((_, index) => PromiseUtils.waitForEvent(this._events, `data-received-local-${index}`, `channel-closed-local-${index}`)));
-			let promiseLocalClosed = Promise.all(this._dataChannels.map((_, index) => PromiseUtils.waitForEvent(this._events, `channel-closed-local-${index}`)));
-			let promiseRemoteClosed = Promise.all(this._dataChannels.map((_, index) => PromiseUtils.waitForEvent(this._events, `channel-closed-remote-${index}`)));
-			
-			// Perform connection negotiation
+			// (When the remote end lives in another browser we can only observe the local ends, but every verified echo implies the remote end was open)
+			let observeRemote = (this._remoteConnection !== null);
+			let promiseLocalOpen = Promise.all(this._dataChannels.map((_, index) => PromiseUtils.waitForEvent(this._events, `channel-open-local-${index}`, `channel-closed-local-${index}`, this._listeners.signal)));
+			let promiseRemoteOpen = observeRemote ? Promise.all(this._dataChannels.map((_, index) => PromiseUtils.waitForEvent(this._events, `channel-open-remote-${index}`, `channel-closed-local-${index}`, this._listeners.signal))) : Promise.resolve();
+			let promiseRemoteReceived = observeRemote ? Promise.all(this._dataChannels.map((_, index) => PromiseUtils.waitForEvent(this._events, `data-received-remote-${index}`, `channel-closed-local-${index}`, this._listeners.signal))) : Promise.resolve();
+			let promiseLocalReceived = Promise.all(this._dataChannels.map((_, index) => PromiseUtils.waitForEvent(this._events, `data-received-local-${index}`, `channel-closed-local-${index}`, this._listeners.signal)));
+			let promiseLocalClosed = Promise.all(this._dataChannels.map((_, index) => PromiseUtils.waitForEvent(this._events, `channel-closed-local-${index}`, null, this._listeners.signal)));
+			let promiseRemoteClosed = observeRemote ? Promise.all(this._dataChannels.map((_, index) => PromiseUtils.waitForEvent(this._events, `channel-closed-remote-${index}`, null, this._listeners.signal))) : Promise.resolve();
+			let promiseIceConnected = PromiseUtils.waitForEvent(this._events, 'ice-connected', 'ice-failed', this._listeners.signal);
+			await this._hook('beforeConnect');
+			
+			// Perform connection negotiation and verify that the requested video codec was negotiated, if one was specified
 			console.log('[Test Harness] Connecting to WebRTC peer...');
-			await this._connect();
+			this._enter('negotiation', 'negotiation-error');
+			await this._await(this._connect(), this._options['negotiationTimeout'], 'the offer and answer to be applied');
+			this._verifyNegotiatedCodec();
+			this._recordEncodings();
 			
-			// If we're testing more than one data channel then set a timeout for opening all of the channels
-			// (This allows us to detect failures in browsers that don't automatically close the channels)
-			let failureTimeout = null;
-			if (this._numDataChannels > 1)
-			{
-				failureTimeout = window.setTimeout(() =>
-					{
-						console.log('[Test Harness] Timeout detected while opening data channels!');
-						this._events.dispatchEvent(new Event(`channel-closed-local-${this._numDataChannels - 1}`));
-					},
-					60 * 1000
-				);
-			}
+			// Wait for every end of the connection that lives in this page to be connected by ICE
+			console.log('[Test Harness] Waiting for ICE to connect...');
+			this._enter('ice', 'ice-failure');
+			await this._await(promiseIceConnected, this._options['iceTimeout'], 'ICE to connect');
 			
 			// Wait for both ends our data channels to be open
+			// (A channel that is closed before it opens is a failure in itself, but a timeout also catches browsers that never close them)
 			console.log('[Test Harness] Waiting for data channels to be open...');
-			await promiseLocalOpen;
-			await promiseRemoteOpen;
+			this._enter('channelsOpen', 'channel-closed');
+			this._timing.begin('channelsOpen');
+			await this._await(Promise.all([promiseLocalOpen, promiseRemoteOpen]), this._options['channelOpenTimeout'], 'the data channels to open', 'channel-open-timeout');
+			this._timing.end('channelsOpen');
+			await this._hook('afterOpen');
+			
+			// Start sampling the stats for the ends of our peer connection that live in this page
+			this._stats = new StatsSampler(this._ownConnections(), this._options['statsInterval']);
+			this._stats.start();
 			
-			// Clear the failure timeout once the data channels are open
-			if (failureTimeout !== null) {
-				window.clearTimeout(failureTimeout);
+			// Start sampling the pixels of the remote media streams if we are verifying remote frame delivery
+			if (this._frames !== null) {
+				this._frames.start();
 			}
 			
 			// Start playing our local media streams and transmitting them over the WebRTC peer connection
 			console.log('[Test Harness] Playing local media streams...');
-			for (let elem of this._localVideoElems) {
-				await elem.play();
+			let playbackStart = window.performance.now();
+			for (let source of this._sources) {
+				await source.start();
 			}
 			
 			// Transmit messages over each of our data channels
 			console.log('[Test Harness] Trasmitting messages over data channels...');
+			this._enter('echo', 'channel-closed');
+			this._timing.begin('echo');
+			this._payloadSummary = this._createPayloadSummary();
 			for (let index = 0; index < this._dataChannels.length; ++index) {
-				this._dataChannels[index]['local'].send(`Message for channel ${index}`);
+				this._sendPayloads(index);
 			}
 			
 			// Wait for all of the messages to be received and echoed back
 			console.log('[Test Harness] Waiting for messages to be received and echoed...');
-			await promiseRemoteReceived;
-			await promiseLocalReceived;
+			await this._await(Promise.all([promiseRemoteReceived, promiseLocalReceived]), this._options['echoTimeout'], 'the messages to be echoed', 'echo-timeout');
+			this._timing.end('echo');
 			
-			// Wait for the media streams to complete playback
+			// Verify that the content of every echoed message matched what was sent
+			this._payloadSummary['errors'] = this._payloadErrors.length;
+			if (this._payloadErrors.length > 0) {
+				throw this._fail('verification-failure', `payload verification failed: ${this._payloadErrors.slice(0, 5).join(', ')}${(this._payloadErrors.length > 5) ? ', ...' : ''}`);
+			}
+			
+			// Wait for the media streams to complete playback, allowing the playback timeout in addition to the duration of the media
 			console.log('[Test Harness] Waiting for local media streams to complete playback...');
-			for (let elem of this._localVideoElems)
+			this._enter('playback', 'playback-stall');
+			await this._hook('duringMedia');
+			let deadline = playbackStart + (this._mediaDuration * 1000) + this._options['playbackTimeout'];
+			for (let source of this._sources)
 			{
-				// Note that this method of detecting playback completion is necessary because some browsers fail to fire the `ended` event
-				// or set the ended attribute to true when we are testing a large number of concurrent media streams, presumably due to bugs
-				await PromiseUtils.waitForCondition(() => { return (elem.ended === true || (elem.duration - elem.currentTime) < 0.1); });
+				await source.waitForCompletion(Math.max(0, deadline - window.performance.now()));
+				this._sourcesCompleted += 1;
+				
+				// Stop sampling remote pixels once the first stream has ended
+				if (this._frames !== null) {
+					this._frames.stopSampling();
+				}
 			}
 			await PromiseUtils.waitForMilliseconds(1000);
 			
+			// Verify the frames, codecs and decoded frame rates of the media streams
+			this._enter('verification', 'verification-failure');
+			
+			// Stop verifying remote frame delivery and check that every stream rendered its frames
+			if (this._frames !== null)
+			{
+				this._frames.stop();
+				let failures = this._frames.findFailures(this._options['minDeliveryRatio']);
+				if (failures.length > 0) {
+					throw new Error(`remote frame verification failed for ${failures.length} stream(s): ${failures.join(', ')}`);
+				}
+			}
+			
+			// Check that every track received its own encoded frames in order and without excessive loss
+			if (this._integrity !== null)
+			{
+				await this._integrity.collect();
+				let failures = this._integrity.findFailures();
+				if (failures.length > 0) {
+					throw new Error(`encoded frame verification failed for ${failures.length} track(s): ${failures.join(', ')}`);
+				}
+			}
+			
+			// Stop sampling stats and verify that the media streams met our quality threshold, if one was specified
+			await this._stats.stop();
+			if (this._options['minDecodedFps'] !== null)
+			{
+				let belowThreshold = this._stats.findTracksBelowFps(this._options['minDecodedFps']);
+				if (belowThreshold.length > 0) {
+					throw new Error(`${belowThreshold.length} inbound video track(s) averaged below the minimum of ${this._options['minDecodedFps']} decoded frames per second`);
+				}
+			}
+			
+			// Verify that only the requested video codec was actually used on the wire, if one was specified
+			let requested = this._options['videoCodec'];
+			let unexpected = this._stats.getSummary()['tracks'].filter((track) =>
+				requested !== null && track['kind'] === 'video' && track['codec'] !== null &&
+				track['codec']['mimeType'].toLowerCase() !== requested['mimeType'].toLowerCase()
+			);
+			if (unexpected.length > 0) {
+				throw new Error(`getStats() reported ${unexpected.length} video stream(s) using a codec other than the requested ${CodecPreferences.describe(requested)} codec`);
+			}
+			
+			// If we are one of a number of concurrent test runs then keep our connection open until the others are ready too
+			if (this._options['barrier'] !== null)
+			{
+				console.log('[Test Harness] Waiting for concurrent test runs...');
+				await this._options['barrier']();
+			}
+			await this._hook('beforeTeardown');
+			
 			// Disconnect
 			console.log('[Test Harness] Disconnecting from WebRTC peer...');
+			this._enter('teardown', 'teardown-timeout');
+			this._timing.begin('teardown');
 			this._disconnect();
 			
 			// Wait for both ends of our data channels to be closed
 			console.log('[Test Harness] Waiting for data channels to be closed...');
-			await promiseLocalClosed;
-			await promiseRemoteClosed;
+			await this._await(Promise.all([promiseLocalClosed, promiseRemoteClosed]), this._options['teardownTimeout'], 'the data channels to close');
+			this._release();
+			this._timing.end('teardown');
+			
+			// If our answering peer lives in another browser then verify that the test run succeeded at its end too
+			if (this._role === 'offerer')
+			{
+				this._enter('verification', 'verification-failure');
+				await this._finishAnswerer();
+			}
 		}
 		catch (err)
 		{
-			// Propagate any errors
+			// Classify any errors that are not already classified by the phase in which they happened, and propagate them
+			err = this._classify(err, this._phaseCategory);
 			console.log('Propagating error: ', err);
+			if (this._stats !== null) {
+				this._stats.cancel();
+			}
+			if (this._frames !== null) {
+				this._frames.stop();
+			}
 			this._disconnect();
+			this._release();
+			
+			// Let our answering peer know that the test run failed so it can tear down its end of the connection
+			if (this._role === 'offerer' && this._answererNotified === false) {
+				this._sendSignal('done', {'error': `${err}`});
+			}
+			
 			throw err;
 		}
 	}
 	
+	// Acts as the answering end of a test run driven by an offering peer in another browser, until the offerer signals that it is done
+	async _answer()
+	{
+		let error = null;
+		try
+		{
+			// Create the "remote" end of our WebRTC peer connection
+			console.log(`[Test Harness] Answering test run ${this._runID}...`);
+			this._enter('setup', 'setup-exception');
+			await this._await(this._timing.measure('setup', () => this._setup()), this._options['setupTimeout'], 'setup to complete');
+			
+			// Create the descriptors for our data channels, along with the remote ends of any pre-negotiated channels
+			for (let index = 0; index < this._numDataChannels; ++index)
+			{
+				this._dataChannels.push({
+					'local': null,
+					'remote': null,
+					'connected': false,
+					'opened': false,
+					'echoed': false,
+					'expected': []
+				});
+				
+				if (this._options['dataChannel']['negotiated'] === true) {
+					this._configureRemoteChannel(this._remoteConnection.createDataChannel(index.toString(10), this._channelInit(index)));
+				}
+			}
+			
+			// Register for the offerer's completion message before negotiating so we cannot miss it
+			let promiseDone = this._signaling.receive('done', this._runID, null);
+			
+			// Perform connection negotiation and sample our stats until the offerer is done
+			console.log('[Test Harness] Connecting to WebRTC peer...');
+			this._enter('negotiation', 'negotiation-error');
+			await this._await(this._connect(), this._options['negotiationTimeout'], 'the offer and answer to be applied');
+			this._enter('verification', 'verification-failure');
+			this._stats = new StatsSampler(this._ownConnections(), this._options['statsInterval']);
+			this._stats.start();
+			let done = (await promiseDone)['data'];
+			console.log(`[Test Harness] Offering peer finished test run ${this._runID}: ${(done['error'] !== null) ? done['error'] : 'succeeded'}`);
+			
+			// Verify that the media streams we received met our quality threshold, if one was specified
+			await this._stats.stop();
+			if (this._options['minDecodedFps'] !== null)
+			{
+				let belowThreshold = this._stats.findTracksBelowFps(this._options['minDecodedFps']);
+				if (belowThreshold.length > 0) {
+					throw new Error(`${belowThreshold.length} inbound video track(s) averaged below the minimum of ${this._options['minDecodedFps']} decoded frames per second`);
+				}
+			}
+		}
+		catch (err)
+		{
+			error = this._classify(err, this._phaseCategory);
+			console.log('Propagating error: ', error);
+			if (this._stats !== null) {
+				this._stats.cancel();
+			}
+		}
+		
+		// Disconnect and report our end of the test run back to the offerer
+		this._timing.begin('teardown');
+		this._disconnect();
+		this._release();
+		this._timing.end('teardown');
+		this._remoteSummary = {
+			'userAgent': navigator.userAgent,
+			'error': (error !== null) ? `${error}` : null,
+			'failure': TestFailure.summarise(error),
+			'channelsOpened': this._dataChannels.filter((channel) => channel['remote'] !== null).length,
+			'streamsReceived': this._remoteVideoElems.length,
+			'stats': this.getStatsSummary(),
+			'timing': this.getTimingSummary()
+		};
+		await this._signaling.send('done', this._runID, this._remoteSummary);
+		
+		if (error !== null) {
+			throw error;
+		}
+	}
+	
+	// Signals to our answering peer that the test run is done and waits for it to report its own outcome
+	async _finishAnswerer()
+	{
+		this._answererNotified = true;
+		await this._signaling.send('done', this._runID, {'error': null});
+		this._remoteSummary = (await this._signaling.receive('done', this._runID, this._options['signalingTimeout']))['data'];
+		if (this._remoteSummary['error'] !== null)
+		{
+			// Report the answering peer's own classification of the failure where it has one
+			let failure = (this._remoteSummary['failure'] !== undefined) ? this._remoteSummary['failure'] : null;
+			let message = `the answering peer reported a failure: ${this._remoteSummary['error']}`;
+			throw (failure !== null) ? new TestFailure(failure['category'], failure['phase'], message, failure['progress']) : this._fail('verification-failure', message);
+		}
+	}
+	
+	// Returns the ends of our peer connection that live in this page, keyed by name
+	_ownConnections()
+	{
+		let connections = {};
+		if (this._localConnection !== null) {
+			connections['local'] = this._localConnection;
+		}
+		if (this._remoteConnection !== null) {
+			connections['remote'] = this._remoteConnection;
+		}
+		
+		return connections;
+	}
+	
 	// Configures our local media streams and peer connection settings
 	async _setup()
 	{
 		try
 		{
+			// Create the frame verifier if we are verifying remote frame delivery
+			// (This requires both ends of the connection to live in this page, so that local and remote frames can be compared)
+			if (this._options['verifyRemoteFrames'] === true && this._role === 'loopback')
+			{
+				this._frames = new FrameVerifier(
+					this._options['frameSampleInterval'],
+					this._options['frozenSamples'],
+					this._options['blackThreshold']
+				);
+			}
+			
+			// Create the encoded frame verifier if we are verifying encoded frame integrity
+			// (This also requires both ends of the connection to live in this page, so that the stream each receiver expects is known)
+			if (this._options['verifyEncodedFrames'] === true && this._role === 'loopback') {
+				this._integrity = new EncodedFrameIntegrity(this._options['maxFrameLossRatio']);
+			}
+			
 			// Create the "local" end of our peer connection and wire up its ICE candidate event handler
-			this._localConnection = new RTCPeerConnection();
-			this._localConnection.addEventListener('icecandidate', async (event) =>
+			// (If the other end lives in another browser then ICE candidates are exchanged via our signaling channel instead)
+			if (this._role !== 'answerer')
 			{
-				if (event.candidate !== null && this._remoteConnection !== null)
+				this._localConnection = new RTCPeerConnection(this._connectionConfig());
+				this._listen(this._localConnection, 'icecandidate', async (event) =>
 				{
-					console.log('[Local Connection] ICE candidate: ', event.candidate);
-					await this._remoteConnection.addIceCandidate(event.candidate);
-				}
-			});
+					if (event.candidate !== null && this._role === 'offerer')
+					{
+						console.log('[Local Connection] ICE candidate: ', event.candidate);
+						this._sendSignal('candidate', event.candidate.toJSON());
+					}
+					else if (event.candidate !== null && this._remoteConnection !== null)
+					{
+						console.log('[Local Connection] ICE candidate: ', event.candidate);
+						await this._remoteConnection.addIceCandidate(event.candidate);
+					}
+				});
+			}
 			
 			// Create the "remote" end of our peer connection and wire up its ICE candidate event handler
-			this._remoteConnection = new RTCPeerConnection();
-			this._remoteConnection.addEventListener('icecandidate', async (event) =>
+			if (this._role !== 'offerer')
 			{
-				if (event.candidate !== null && this._localConnection !== null)
+				this._remoteConnection = new RTCPeerConnection(this._connectionConfig());
+				this._listen(this._remoteConnection, 'icecandidate', async (event) =>
 				{
-					console.log('[Remote Connection] ICE candidate: ', event.candidate);
-					await this._localConnection.addIceCandidate(event.candidate);
-				}
-			});
+					if (event.candidate !== null && this._role === 'answerer')
+					{
+						console.log('[Remote Connection] ICE candidate: ', event.candidate);
+						this._sendSignal('candidate', event.candidate.toJSON());
+					}
+					else if (event.candidate !== null && this._localConnection !== null)
+					{
+						console.log('[Remote Connection] ICE candidate: ', event.candidate);
+						await this._localConnection.addIceCandidate(event.candidate);
+					}
+				});
+			}
+			
+			// Add the ICE candidates received from our signaling peer to our end of the connection
+			if (this._role !== 'loopback')
+			{
+				let connection = (this._role === 'offerer') ? this._localConnection : this._remoteConnection;
+				this._unsubscribeCandidates = this._signaling.subscribe('candidate', this._runID, (message) => {
+					this._addPeerCandidate(connection, message['data']);
+				});
+			}
+			
+			// Record when every end of the connection that lives in this page has been connected by ICE
+			for (let connection of Object.values(this._ownConnections())) {
+				this._listen(connection, 'iceconnectionstatechange', () => { this._checkIceConnected(); });
+			}
+			
+			// Destroy any output <video> and <canvas> elements generated during previous test runs
+			if (this._options['clearContainers'] === true)
+			{
+				this._containerLocal.empty();
+				this._containerRemote.empty();
+			}
+			
+			// The remaining event handlers only apply to the "remote" end of the connection when it lives in this page
+			if (this._remoteConnection === null) {
+				return await this._setupMedia();
+			}
 			
 			// When a new data channel is created by the "local" peer, configure the "remote" end of the channel
-			this._remoteConnection.addEventListener('datachannel', (event) =>
+			// (Pre-negotiated channels do not trigger this event, since we create both ends of those channels ourselves)
+			this._listen(this._remoteConnection, 'datachannel', (event) =>
 			{
 				// Debug output
 				console.log('[Remote Connection] New data channel: ', event);
 				
-				// Retrieve the remote end of the channel
-				let remoteChannel = event.channel;
-				remoteChannel.binaryType = 'arraybuffer';
-				
-				// Store the remote end of the channel alongside the local end
-				let index = this._channelIndex(remoteChannel);
-				this._dataChannels[index]['remote'] = remoteChannel;
-				
-				// Fire an event when data is received on the remote end of the channel, and echo all messages back to the sender
-				remoteChannel.addEventListener('message', (event) =>
-				{
-					console.log(`[Remote Connection] Received message: ${event.data}`);
-					this._events.dispatchEvent(new Event(`data-received-remote-${index}`));
-					remoteChannel.send(event.data);
-				});
-				
-				// Keep track of whether the data channel is currently open
-				remoteChannel.addEventListener('close', () =>
-				{
-					console.log(`[Remote Connection] Data channel ${index} closed!`);
-					this._dataChannels[index]['connected'] = false;
-					this._events.dispatchEvent(new Event(`channel-closed-remote-${index}`));
-				});
-				
-				// Fire an event signalling that the remote end of the channel is open and configured
+				// Configure the remote end of the channel and fire an event signalling that it is open and configured
+				let index = this._configureRemoteChannel(event.channel);
 				this._events.dispatchEvent(new Event(`channel-open-remote-${index}`));
 			});
 			
 			// When a new media stream is received by the "remote" peer, display it in an output <video> element
-			this._remoteConnection.addEventListener('track', (event) =>
+			this._listen(this._remoteConnection, 'track', (event) =>
 			{
 				// Debug output
 				console.log('[Remote Connection] New media track:', event);
+				this._watchTracks([event.track]);
+				
+				// Check the encoded frames of the new track against the local stream with the same ID
+				if (this._integrity !== null) {
+					this._integrity.watchReceiver(event.receiver, this._mediaStreams.findIndex((stream) => stream.id === event.streams[0].id));
+				}
 				
 				// Determine if we need to create a new <video> element
 				let numElems = this._remoteVideoElems.length;
@@ -286,62 +754,98 @@ class WebRtcLimitTestRun
 				if (lastElem == null || lastElem.srcObject !== event.streams[0])
 				{
 					// Create a new <video> element and add it to our list
-					let newElem = this._createVideoElem(this._containerRemote);
+					let newElem = WebRtcLimitTestRun.createVideoElem(this._containerRemote);
 					this._remoteVideoElems.push(newElem);
 					
 					// Play the new stream with the <video> element
 					newElem.srcObject = event.streams[0];
 					newElem.play();
+					
+					// Count the frames rendered by the new <video> element if we are verifying remote frame delivery
+					if (this._frames !== null) {
+						this._frames.watchRemote(event.streams[0].id, newElem);
+					}
 				}
 			});
 			
-			// Destroy any output <video> elements generated during previous test runs
-			this._containerLocal.empty();
-			this._containerRemote.empty();
-			
-			// Create a regular expression for extracting the file extension from a URL
-			// (Do this once prior to the loop below for performance reasons)
-			let extRegex = new RegExp('.+\\.([A-Za-z0-9]+)');
+			// Generate our local media streams if the "local" end of the connection lives in this page
+			if (this._localConnection !== null) {
+				await this._setupMedia();
+			}
+		}
+		catch (err)
+		{
+			// Propagate any errors
+			console.log('Propagating error: ', err);
+			throw err;
+		}
+	}
+	
+	// Generates the sources for our local media streams and adds their tracks to the "local" end of our peer connection
+	async _setupMedia()
+	{
+		try
+		{
+			// Create the shared WebAudio context if we are generating synthetic audio
+			let synthetic = this._options['synthetic'];
+			if (synthetic !== null && synthetic['audio'] === true && this._numMediaStreams > 0)
+			{
+				this._audioContext = new AudioContext();
+				await this._audioContext.resume();
+			}
 			
-			// Generate <video> elements to provide the media streams for our "local" peer
+			// Generate the sources that provide the media streams for our "local" peer
 			for (let i = 0; i < this._numMediaStreams; ++i)
 			{
-				// Create the <video> element and point it to our local media stream
-				// (Ensure we make the URLs unique to prevent duplicate stream IDs)
-				let newElem = this._createVideoElem(this._containerLocal)
-				this._localVideoElems.push(newElem);
-				for (let url of this._localVideoURLs)
-				{
-					let matches = extRegex.exec(url);
-					let extension = (matches !== null && matches.length > 0) ? matches[1] : 'unknown';
-					let source = $(document.createElement('source'));
-					source.attr('src', `${url}?i=${i}`);
-					source.attr('type', `video/${extension}`);
-					$(newElem).append(source);
-				}
+				// Create either a synthetic source or a <video> element that plays our video file
+				let source = (synthetic !== null) ?
+					new SyntheticSource(this._containerLocal, this._audioContext, i, synthetic) :
+					new VideoFileSource(WebRtcLimitTestRun.createVideoElem(this._containerLocal), this._localVideoURLs, i);
+				this._sources.push(source);
 				
-				// Wait for the <video> element to be ready
-				if (newElem.readyState < 3) {
-					await PromiseUtils.waitForEvent(newElem, 'canplay');
-				}
+				// Wait for the source to be ready and retrieve its media stream
+				await source.prepare();
+				let stream = source.getStream();
+				this._mediaStreams.push(stream);
+				this._watchTracks(stream.getTracks());
 				
-				// Attempt to retrieve the media stream from the <video> element
-				this._mediaStreams.push(this._getMediaStream(newElem));
+				// Count the frames rendered by the source if we are verifying remote frame delivery
+				if (this._frames !== null && source.hasVideo() === true)
+				{
+					if (source.getVideoElement() !== null) {
+						this._frames.watchLocal(stream.id, source.getVideoElement());
+					}
+					else {
+						this._frames.watchLocalCounter(stream.id, () => source.getFramesDrawn());
+					}
+				}
 			}
 			
 			// Add each video and audio track from the local media streams to our WebRTC peer connection
-			for (let stream of this._mediaStreams)
+			// (If we are verifying encoded frame integrity then the frames of each track are tagged with the index of its stream)
+			for (let [index, stream] of this._mediaStreams.entries())
 			{
 				for (let track of stream.getTracks())
 				{
 					console.log('[Local Connection] Add track: ', track);
-					this._localConnection.addTrack(track, stream);
+					let profile = this._options['encodingProfile'];
+					let sender = (profile !== null && track.kind === 'video') ?
+						await SenderEncodings.addTrack(this._localConnection, track, stream, profile) :
+						this._localConnection.addTrack(track, stream);
+					if (this._integrity !== null) {
+						this._integrity.watchSender(sender, index);
+					}
 				}
 			}
 			
+			// Restrict our video transceivers to the requested video codec, if one was specified
+			if (this._options['videoCodec'] !== null) {
+				CodecPreferences.apply(this._localConnection, this._options['videoCodec']);
+			}
+			
 			// Store the duration of our first local media stream
-			if (this._localVideoElems.length > 0) {
-				this._mediaDuration = this._localVideoElems[0].duration;
+			if (this._sources.length > 0) {
+				this._mediaDuration = this._sources[0].getDuration();
 			}
 		}
 		catch (err)
@@ -366,26 +870,65 @@ class WebRtcLimitTestRun
 			// Creates our "local" offer
 			const initLocalOffer = async () =>
 			{
-				const localOffer = await this._localConnection.createOffer(offerOptions);
+				const localOffer = await this._timing.measure('createOffer', () => this._localConnection.createOffer(offerOptions));
+				this._timing.recordDescription(localOffer);
 				console.log(`[Local Connection] Sending offer: ${JSON.stringify(localOffer)}`);
-				const localDesc = this._localConnection.setLocalDescription(localOffer);
-				const remoteDesc = this._remoteConnection.setRemoteDescription(localOffer);
-				return Promise.all([localDesc, remoteDesc]);
+				return this._timing.measure('setOffer', () => Promise.all([
+					this._localConnection.setLocalDescription(localOffer),
+					this._remoteConnection.setRemoteDescription(localOffer)
+				]));
 			};
 			
 			// Creates our "remote" answer to the "local" offer
 			const initRemoteAnswer = async () =>
 			{
-				const remoteAnswer = await this._remoteConnection.createAnswer();
+				const remoteAnswer = await this._timing.measure('createAnswer', () => this._remoteConnection.createAnswer());
+				this._timing.recordDescription(remoteAnswer);
 				console.log(`[Remote Connection] Answering offer: ${JSON.stringify(remoteAnswer)}`);
-				const localDesc = this._remoteConnection.setLocalDescription(remoteAnswer);
-				const remoteDesc = this._localConnection.setRemoteDescription(remoteAnswer);
-				return Promise.all([localDesc, remoteDesc]);
+				return this._timing.measure('setAnswer', () => Promise.all([
+					this._remoteConnection.setLocalDescription(remoteAnswer),
+					this._localConnection.setRemoteDescription(remoteAnswer)
+				]));
 			};
 			
-			// Exchange offers and responses
-			await initLocalOffer();
-			await initRemoteAnswer();
+			// ICE starts gathering candidates as soon as negotiation begins
+			this._timing.begin('iceConnected');
+			
+			// If the other end of the connection lives in another browser then exchange our offer or answer via our signaling channel
+			// (Only our own half of each setLocalDescription()/setRemoteDescription() pair is timed, since the other half happens in our peer)
+			const timeout = this._options['signalingTimeout'];
+			if (this._role === 'offerer')
+			{
+				const localOffer = await this._timing.measure('createOffer', () => this._localConnection.createOffer(offerOptions));
+				this._timing.recordDescription(localOffer);
+				console.log(`[Local Connection] Sending offer: ${JSON.stringify(localOffer)}`);
+				await this._timing.measure('setOffer', () => this._localConnection.setLocalDescription(localOffer));
+				await this._signaling.send('description', this._runID, localOffer);
+				const remoteAnswer = (await this._signaling.receive('description', this._runID, timeout))['data'];
+				this._timing.recordDescription(remoteAnswer);
+				console.log(`[Local Connection] Received answer: ${JSON.stringify(remoteAnswer)}`);
+				await this._timing.measure('setAnswer', () => this._localConnection.setRemoteDescription(remoteAnswer));
+				await this._addPendingCandidates(this._localConnection);
+			}
+			else if (this._role === 'answerer')
+			{
+				const localOffer = (await this._signaling.receive('description', this._runID, timeout))['data'];
+				this._timing.recordDescription(localOffer);
+				console.log(`[Remote Connection] Received offer: ${JSON.stringify(localOffer)}`);
+				await this._timing.measure('setOffer', () => this._remoteConnection.setRemoteDescription(localOffer));
+				await this._addPendingCandidates(this._remoteConnection);
+				const remoteAnswer = await this._timing.measure('createAnswer', () => this._remoteConnection.createAnswer());
+				this._timing.recordDescription(remoteAnswer);
+				console.log(`[Remote Connection] Answering offer: ${JSON.stringify(remoteAnswer)}`);
+				await this._timing.measure('setAnswer', () => this._remoteConnection.setLocalDescription(remoteAnswer));
+				await this._signaling.send('description', this._runID, remoteAnswer);
+			}
+			else
+			{
+				// Exchange offers and responses
+				await initLocalOffer();
+				await initRemoteAnswer();
+			}
 		}
 		catch (err)
 		{
@@ -395,78 +938,425 @@ class WebRtcLimitTestRun
 		}
 	}
 	
-	// Closes the WebRTC peer connection with our loopback peer if it has already been established
-	_disconnect()
+	// Records the video codecs negotiated for the connection, throwing an error if a codec other than the requested codec was negotiated
+	// (Codecs are compared by MIME type, since the answerer is permitted to respond with different format parameters)
+	_verifyNegotiatedCodec()
+	{
+		let connection = (this._localConnection !== null) ? this._localConnection : this._remoteConnection;
+		let description = (this._localConnection !== null) ? connection.remoteDescription : connection.localDescription;
+		this._negotiatedCodecs = (description !== null) ? CodecPreferences.negotiated(description.sdp) : [];
+		
+		let requested = this._options['videoCodec'];
+		let unexpected = this._negotiatedCodecs.filter((codec) => requested !== null && codec['mimeType'].toLowerCase() !== requested['mimeType'].toLowerCase());
+		if (unexpected.length > 0) {
+			throw this._fail('verification-failure', `negotiated the ${unexpected.map((codec) => CodecPreferences.describe(codec)).join(', ')} codec(s) instead of the requested ${CodecPreferences.describe(requested)} codec`);
+		}
+	}
+	
+	// Ends the ICE connection phase once every end of the connection that lives in this page has been connected, and fires an event
+	// signalling either that every end has been connected or that any end has failed
+	_checkIceConnected()
 	{
-		if (this._localConnection !== null && this._remoteConnection !== null)
+		let states = Object.values(this._ownConnections()).map((connection) => connection.iceConnectionState);
+		if (states.every((state) => state === 'connected' || state === 'completed'))
 		{
-			this._localConnection.close();
-			this._remoteConnection.close();
+			this._timing.end('iceConnected');
+			this._events.dispatchEvent(new Event('ice-connected'));
+		}
+		else if (states.includes('failed')) {
+			this._events.dispatchEvent(new Event('ice-failed'));
 		}
 	}
 	
-	// Creates a <video> element for displaying media streams and adds it to the specified container element
-	_createVideoElem(container)
+	// Sends a signaling message for the current test run to our peer without waiting for it, logging any failure to send it
+	// (A message that never arrives surfaces as a timeout at the other end, so there is nothing more for us to do here)
+	_sendSignal(type, data)
 	{
-		let newElem = $(document.createElement('video')).attr('playsinline', '').attr('muted', '')[0];
-		container.append(newElem);
-		return newElem;
+		Promise.resolve(this._signaling.send(type, this._runID, data)).catch((err) => {
+			console.log(`[Signaling] Failed to send a "${type}" message: `, err);
+		});
 	}
 	
-	// Attempts to retrieve the media stream from a <video> element so it can be transmitted over our WebRTC peer connection
-	_getMediaStream(videoElem)
+	// Adds an ICE candidate received from our signaling peer, deferring it until the remote description has been set
+	async _addPeerCandidate(connection, candidate)
 	{
-		if (videoElem.captureStream) {
-			return videoElem.captureStream();
+		if (connection.remoteDescription === null)
+		{
+			this._pendingCandidates.push(candidate);
+			return;
 		}
-		else if (videoElem.mozCaptureStream) {
-			return videoElem.mozCaptureStream();
+		
+		try {
+			await connection.addIceCandidate(candidate);
 		}
-		else {
-			throw new Error('Stream capture is not supported!');
+		catch (err) {
+			console.log('[Signaling] Failed to add ICE candidate: ', err);
 		}
 	}
 	
-	// Creates a data channel for bi-directional messaging between the two ends of our peer WebRTC connection
-	_createDataChannel()
+	// Adds any ICE candidates that were received from our signaling peer before the remote description was set
+	async _addPendingCandidates(connection)
 	{
-		// Create a descriptor object to track the state of our new data channel and add it to our list of channel descriptors
-		let channelIndex = this._dataChannels.length;
-		this._dataChannels.push({
-			'local': null,
-			'remote': null,
-			'connected': false
-		})
-		
-		// Create the local end of the new data channel
-		let localChannel = this._localConnection.createDataChannel(channelIndex.toString(10), {ordered: true});
-		localChannel.binaryType = 'arraybuffer';
-		this._dataChannels[channelIndex]['local'] = localChannel;
+		let pending = this._pendingCandidates;
+		this._pendingCandidates = [];
+		for (let candidate of pending) {
+			await this._addPeerCandidate(connection, candidate);
+		}
+	}
+	
+	// Closes the WebRTC peer connection with our loopback peer if it has already been established
+	// (When only one end of the connection lives in this page, closing it causes our signaling peer's end to close too)
+	_disconnect()
+	{
+		for (let connection of Object.values(this._ownConnections())) {
+			connection.close();
+		}
 		
-		// Fire an event when data is received on the local end of the channel
-		localChannel.addEventListener('message', (event) =>
+		// Stop receiving ICE candidates from our signaling peer
+		if (this._unsubscribeCandidates !== null)
 		{
-			console.log(`[Local Connection] Received message: ${event.data}`);
-			this._events.dispatchEvent(new Event(`data-received-local-${channelIndex}`));
-		});
+			this._unsubscribeCandidates();
+			this._unsubscribeCandidates = null;
+		}
 		
-		// Keep track of whether the data channel is currently open
-		localChannel.addEventListener('open', () =>
-		{
-			console.log(`[Local Connection] Data channel ${channelIndex} open!`);
-			this._dataChannels[channelIndex]['connected'] = true;
-			this._events.dispatchEvent(new Event(`channel-open-local-${channelIndex}`));
-		});
-		localChannel.addEventListener('close', () =>
+		// Stop playing or generating local media
+		for (let source of this._sources) {
+			source.stop();
+		}
+		if (this._audioContext !== null)
 		{
-			console.log(`[Local Connection] Data channel ${channelIndex} closed!`);
-			this._dataChannels[channelIndex]['connected'] = false;
-			this._events.dispatchEvent(new Event(`channel-closed-local-${channelIndex}`));
-		});
+			this._audioContext.close();
+			this._audioContext = null;
+		}
 	}
 	
-	// Retrieves the channel index for the supplied WebRTC data channel
-	_channelIndex(channel) {
+	// Releases everything created by the test run once its connection has been closed, so that nothing accumulates over a long sweep
+	// (Closing the connection ends the received tracks, but the captured and generated tracks keep running, and the <video> elements
+	// keep their media until they are emptied, so we stop every track, release every element and remove all of our event listeners)
+	_release()
+	{
+		// Remove every event listener registered by the test run
+		this._listeners.abort();
+		
+		// Stop every track we captured, generated or received
+		let received = this._remoteVideoElems.map((elem) => elem.srcObject).filter((stream) => stream !== null);
+		for (let stream of this._mediaStreams.concat(received))
+		{
+			for (let track of stream.getTracks()) {
+				track.stop();
+			}
+		}
+		
+		// Release our local media sources along with their <video> or <canvas> elements
+		for (let source of this._sources) {
+			source.release();
+		}
+		
+		// Release the output <video> elements for the received media streams
+		for (let elem of this._remoteVideoElems) {
+			WebRtcLimitTestRun.releaseVideoElem(elem);
+		}
+		
+		// Stop the worker that runs our encoded transforms
+		if (this._integrity !== null) {
+			this._integrity.stop();
+		}
+	}
+	
+	// Records the encodings reported by our first video sender after negotiation, if an encoding profile was specified, and verifies
+	// that every video sender still has an active encoding
+	// (A sender whose encoding was deactivated would otherwise be recorded under the name of a profile it is not actually sending)
+	_recordEncodings()
+	{
+		let profile = this._options['encodingProfile'];
+		if (profile === null || this._localConnection === null) {
+			return;
+		}
+		
+		let senders = this._localConnection.getSenders().filter((sender) => sender.track !== null && sender.track.kind === 'video');
+		this._encodingSummary = {
+			'profile': profile,
+			'senders': senders.length,
+			'encodings': (senders.length > 0) ? SenderEncodings.describeSender(senders[0]) : []
+		};
+		
+		let inactive = senders.filter((sender) => SenderEncodings.describeSender(sender).some((encoding) => encoding['active'] === true) === false);
+		if (inactive.length > 0) {
+			throw this._fail('verification-failure', `${inactive.length} video sender(s) have no active encoding for the "${profile['name']}" encoding profile`);
+		}
+	}
+	
+	// Returns the configuration for the ends of our peer connection, adding anything required by encoded frame verification to the transport configuration
+	_connectionConfig() {
+		return Object.assign({}, this._options['connection'], (this._integrity !== null) ? this._integrity.getConnectionConfig() : {});
+	}
+	
+	// Awaits the specified hook, if one was supplied
+	async _hook(name)
+	{
+		let hook = this._options['hooks'][name];
+		if (hook !== undefined && hook !== null) {
+			await hook(this);
+		}
+	}
+	
+	// Marks the start of the specified phase of the test run, along with the category of failure for any unexpected error during it
+	_enter(phase, category)
+	{
+		this._phase = phase;
+		this._phaseCategory = category;
+	}
+	
+	// Waits for the supplied promise to settle within the specified timeout, converting any error into a TestFailure for the current phase
+	// (A timeout is classified as `timeoutCategory` if one is specified, and every other error as the category of the current phase)
+	async _await(promise, timeout, description, timeoutCategory)
+	{
+		try {
+			return await PromiseUtils.withTimeout(promise, timeout, description);
+		}
+		catch (err)
+		{
+			let timedOut = (err.name === 'TimeoutError' && timeoutCategory !== undefined);
+			throw this._classify(err, timedOut ? timeoutCategory : this._phaseCategory);
+		}
+	}
+	
+	// Creates a TestFailure of the specified category for the current phase, recording the progress made so far
+	_fail(category, message) {
+		return new TestFailure(category, this._phase, message, this._progress());
+	}
+	
+	// Converts the supplied error into a TestFailure of the specified category, unless it has already been classified
+	_classify(err, category) {
+		return (err instanceof TestFailure) ? err : this._fail(category, (err.message !== undefined) ? err.message : `${err}`);
+	}
+	
+	// Returns the number of data channels that have opened and echoed their messages, and the number of media streams that have been
+	// received and completed playback (counts that cannot be observed from this page are null)
+	_progress()
+	{
+		return {
+			'dataChannelsOpened': this._dataChannels.filter((channel) => channel['opened'] === true).length,
+			'dataChannelsEchoed': this._dataChannels.filter((channel) => channel['echoed'] === true).length,
+			'mediaStreamsReceived': (this._remoteConnection !== null) ? this._remoteVideoElems.length : null,
+			'mediaStreamsPlayed': (this._localConnection !== null) ? this._sourcesCompleted : null
+		};
+	}
+	
+	// Registers an event listener that is removed when the test run is torn down
+	_listen(target, type, listener) {
+		target.addEventListener(type, listener, {signal: this._listeners.signal});
+	}
+	
+	// Watches the supplied tracks for leaks, if we have a leak monitor
+	_watchTracks(tracks)
+	{
+		if (this._options['leakMonitor'] !== null) {
+			this._options['leakMonitor'].watchTracks(tracks);
+		}
+	}
+	
+	// Creates a <video> element for displaying media streams and adds it to the specified container element
+	// (This is shared with IncrementalTestRun, so that both kinds of test run create and release their elements in the same way)
+	static createVideoElem(container)
+	{
+		let newElem = $(document.createElement('video')).attr('playsinline', '').attr('muted', '')[0];
+		container.append(newElem);
+		return newElem;
+	}
+	
+	// Stops playback of a <video> element created by createVideoElem(), detaches its media stream and removes it from the page
+	static releaseVideoElem(elem)
+	{
+		elem.pause();
+		elem.srcObject = null;
+		$(elem).remove();
+	}
+	
+	// Creates a data channel for bi-directional messaging between the two ends of our peer WebRTC connection
+	_createDataChannel()
+	{
+		// Create a descriptor object to track the state of our new data channel and add it to our list of channel descriptors
+		let channelIndex = this._dataChannels.length;
+		this._dataChannels.push({
+			'local': null,
+			'remote': null,
+			'connected': false,
+			'opened': false,
+			'echoed': false,
+			'expected': []
+		})
+		
+		// Build the configuration for the new data channel from our reliability settings
+		let settings = this._options['dataChannel'];
+		let init = this._channelInit(channelIndex);
+		
+		// Create the local end of the new data channel
+		let localChannel = this._localConnection.createDataChannel(channelIndex.toString(10), init);
+		localChannel.binaryType = 'arraybuffer';
+		this._dataChannels[channelIndex]['local'] = localChannel;
+		
+		// Fire an event when all of the expected echoed messages have been received on the local end of the channel,
+		// or as soon as a message is received that does not match any of the payloads we sent
+		this._listen(localChannel, 'message', (event) =>
+		{
+			console.log(`[Local Connection] Received message: ${DataChannelPayloads.describe(event.data)}`);
+			let expected = this._dataChannels[channelIndex]['expected'];
+			let match = DataChannelPayloads.findMatch(expected, event.data);
+			if (match !== -1)
+			{
+				expected.splice(match, 1);
+				this._payloadSummary['verified'] += 1;
+			}
+			else {
+				this._payloadErrors.push(`channel ${channelIndex} received an unexpected or corrupted ${DataChannelPayloads.sizeOf(event.data)}-byte message`);
+			}
+			
+			if (expected.length === 0 || match === -1)
+			{
+				this._dataChannels[channelIndex]['echoed'] = (match !== -1);
+				this._events.dispatchEvent(new Event(`data-received-local-${channelIndex}`));
+			}
+		});
+		
+		// Keep track of whether the data channel is currently open
+		this._listen(localChannel, 'open', () =>
+		{
+			console.log(`[Local Connection] Data channel ${channelIndex} open!`);
+			this._dataChannels[channelIndex]['connected'] = true;
+			this._dataChannels[channelIndex]['opened'] = true;
+			this._events.dispatchEvent(new Event(`channel-open-local-${channelIndex}`));
+		});
+		this._listen(localChannel, 'close', () =>
+		{
+			console.log(`[Local Connection] Data channel ${channelIndex} closed!`);
+			this._dataChannels[channelIndex]['connected'] = false;
+			this._events.dispatchEvent(new Event(`channel-closed-local-${channelIndex}`));
+		});
+		
+		// If the channel is pre-negotiated then create the remote end of the channel with the same ID, and fire an event once it is open
+		// (When the remote end lives in another browser, our signaling peer creates it instead)
+		if (settings['negotiated'] === true && this._remoteConnection !== null)
+		{
+			let remoteChannel = this._remoteConnection.createDataChannel(channelIndex.toString(10), init);
+			this._configureRemoteChannel(remoteChannel);
+			this._listen(remoteChannel, 'open', () => {
+				this._events.dispatchEvent(new Event(`channel-open-remote-${channelIndex}`));
+			});
+		}
+	}
+	
+	// Builds the configuration for a data channel from our reliability settings
+	// (Pre-negotiated channels use the channel index as their SCTP stream ID, rather than letting the browser allocate one)
+	_channelInit(channelIndex)
+	{
+		let settings = this._options['dataChannel'];
+		let init = {ordered: settings['ordered']};
+		if (settings['maxRetransmits'] !== null) {
+			init.maxRetransmits = settings['maxRetransmits'];
+		}
+		else if (settings['maxPacketLifeTime'] !== null) {
+			init.maxPacketLifeTime = settings['maxPacketLifeTime'];
+		}
+		if (settings['negotiated'] === true)
+		{
+			init.negotiated = true;
+			init.id = channelIndex;
+		}
+		
+		return init;
+	}
+	
+	// Configures the remote end of a data channel to echo all messages back to the sender, returning the channel index
+	_configureRemoteChannel(remoteChannel)
+	{
+		remoteChannel.binaryType = 'arraybuffer';
+		
+		// Store the remote end of the channel alongside the local end
+		let index = this._channelIndex(remoteChannel);
+		this._dataChannels[index]['remote'] = remoteChannel;
+		
+		// Fire an event when data is received on the remote end of the channel, and echo all messages back to the sender
+		this._listen(remoteChannel, 'message', (event) =>
+		{
+			console.log(`[Remote Connection] Received message: ${DataChannelPayloads.describe(event.data)}`);
+			this._events.dispatchEvent(new Event(`data-received-remote-${index}`));
+			remoteChannel.send(event.data);
+		});
+		
+		// Keep track of whether the data channel is currently open
+		this._listen(remoteChannel, 'close', () =>
+		{
+			console.log(`[Remote Connection] Data channel ${index} closed!`);
+			this._dataChannels[index]['connected'] = false;
+			this._events.dispatchEvent(new Event(`channel-closed-remote-${index}`));
+		});
+		
+		return index;
+	}
+	
+	// Creates the summary of the payloads transmitted over the data channels, resolving the payload sizes against the SCTP max message size
+	_createPayloadSummary()
+	{
+		// Echoed messages must fit within the max message size of both ends of the connection
+		let limits = Object.values(this._ownConnections())
+			.map((connection) => connection.sctp)
+			.filter((sctp) => sctp !== null && sctp !== undefined)
+			.map((sctp) => sctp.maxMessageSize);
+		let maxMessageSize = (limits.length > 0) ? Math.min(...limits) : 65536;
+		
+		return {
+			'maxMessageSize': maxMessageSize,
+			'binary': this._options['dataChannel']['binary'],
+			'sizes': DataChannelPayloads.resolveSizes(this._options['dataChannel']['payloadSizes'], maxMessageSize),
+			'sent': 0,
+			'rejected': 0,
+			'verified': 0,
+			'errors': 0
+		};
+	}
+	
+	// Transmits our payloads over the local end of the specified data channel
+	_sendPayloads(index)
+	{
+		let channel = this._dataChannels[index];
+		let sizes = this._payloadSummary['sizes'];
+		let payloads = (sizes.length > 0) ?
+			sizes.map((size) => DataChannelPayloads.create(index, size, this._options['dataChannel']['binary'])) :
+			[`Message for channel ${index}`];
+		
+		for (let payload of payloads)
+		{
+			try
+			{
+				channel['expected'].push(payload);
+				channel['local'].send(payload);
+				this._payloadSummary['sent'] += 1;
+			}
+			catch (err)
+			{
+				// Browsers are expected to reject payloads larger than the SCTP max message size, so this is not treated as a failure
+				channel['expected'].pop();
+				if (DataChannelPayloads.sizeOf(payload) > this._payloadSummary['maxMessageSize']) {
+					this._payloadSummary['rejected'] += 1;
+				}
+				else {
+					throw err;
+				}
+			}
+		}
+		
+		// If every payload was rejected then there is nothing to wait for
+		if (channel['expected'].length === 0)
+		{
+			channel['echoed'] = true;
+			this._events.dispatchEvent(new Event(`data-received-remote-${index}`));
+			this._events.dispatchEvent(new Event(`data-received-local-${index}`));
+		}
+	}
+	
+	// Retrieves the channel index for the supplied WebRTC data channel
+	_channelIndex(channel) {
 		return parseInt(channel.label)
 	}
 }
@@ -474,40 +1364,45 @@ class WebRtcLimitTestRun
 
 $(document).ready(() =>
 {
+	// The structured results for each of our test runs
+	let results = new TestResults();
+	
+	// The progress of the current test suite run, which is persisted after every step so it can be resumed following a crash
+	let activeProgress = null;
+	
+	// Queues our log entries and submits them to the server in batches once we have a session ID
+	let logs = new LogTransport('/log');
+	
 	// Attempt to retrieve our session ID from the server
+	// (If we have already resumed an interrupted test suite then we continue using its session ID instead)
 	let sessionID = null;
-	$.ajax({type: 'GET', url: '/session', dataType: 'text'}).then((data) => {
-		sessionID = data;
+	let sessionRequest = $.ajax({type: 'GET', url: '/session', dataType: 'text'}).then((data) =>
+	{
+		if (sessionID === null)
+		{
+			sessionID = data;
+			results.setSession(data);
+			logs.setSession(data);
+			if (activeProgress !== null && activeProgress.getSession() === null) {
+				activeProgress.setSession(data);
+			}
+		}
 	});
 	
 	// Logs status messages to the console, the page, and the server
 	let videoContainer = $('#video-container');
 	let statusContainer = $('#status-container');
 	let statusList = $('#status-messages');
-	function logStatus(message, append, emphasis, prefix)
+	function logStatus(message, append, emphasis, source, level)
 	{
 		// Set sensible defaults for our parameters if not specified
 		let a = (append !== undefined) ? append : false;
 		let e = (emphasis !== undefined) ? emphasis : false;
-		let p = (prefix !== undefined) ? prefix : '[Test Suite] ';
-		
-		// Log the message to the console
-		console.log(`${p}${message}`);
-		
-		// Log the message to the server if we have a session ID
-		if (sessionID !== null)
-		{
-			$.ajax({
-				async: false,
-				type: 'POST',
-				url: '/log',
-				contentType: 'application/json; charset=utf-8',
-				data: JSON.stringify({
-					'session': sessionID,
-					'message': (a === true) ? message : `\n${message}`
-				})
-			});
-		}
+		let s = (source !== undefined) ? source : 'Test Suite';
+		let l = (level !== undefined) ? level : 'info';
+		
+		// Log the message to the console and queue it for the server
+		logs.log(l, s, message, a);
 		
 		// Determine if we are adding a new status list item or appending to the last one
 		let existingItems = statusList.children();
@@ -526,93 +1421,518 @@ $(document).ready(() =>
 		}
 	}
 	
+	// Logs failures to the console, the page, and the server with the "error" level
+	function logFailure(message, append, emphasis) {
+		logStatus(message, append, emphasis, undefined, 'error');
+	}
+	
+	// Sends the debug output of each test run to the server along with our status messages, if enabled by the supplied settings
+	function captureDebugLogs(settings)
+	{
+		if (settings['captureDebugLogs'] === true) {
+			logs.captureConsole();
+		}
+		else {
+			logs.releaseConsole();
+		}
+	}
+	
+	// Publishes the state of the test suite so that it can be monitored by scripts driving unattended runs
+	// (The state is exposed as `window.testSuiteStatus`, reflected in the document title and announced with a `testsuitestatus` event)
+	const originalTitle = document.title;
+	function reportStatus(state, values)
+	{
+		window.testSuiteStatus = Object.assign({}, window.testSuiteStatus, values, {'state': state, 'session': sessionID});
+		document.title = `${originalTitle} [${state}]`;
+		window.dispatchEvent(new CustomEvent('testsuitestatus', {detail: window.testSuiteStatus}));
+	}
+	window.testSuiteStatus = {'state': 'idle', 'session': null};
+	
 	// Hide both the video container and status container when the page loads
 	statusContainer.hide();
 	videoContainer.hide();
 	
-	// Wire up the run button to trigger the test suite
-	let runButton = $('#run-button');
-	runButton[0].addEventListener(
-		'click', async () =>
-		{
-			// The common settings which remain the same across all tests
-			const videoLocal = $('#video-local');
-			const videoRemote = $('#video-remote');
-			
-			// The sequence of values we use to test each parameter, following powers of two paired with -1 and +1 offsets to test boundary conditions
-			const paramSequence = [
-				1,
-				2,
-				3, 4, 5,
-				7, 8, 9,
-				15, 16, 17,
-				31, 32, 33,
-				47, 48, 49, 50, 51, 52, 53, 54,  // 64 concurrent WebRTC media streams is one of the common observed breaking points,
-				55, 56, 57, 58, 59, 60, 61, 62,  // so these are here to help refine the identified limit to a more accurate value
-				63, 64, 65,
-				95, 96, 97,                      //
-				111, 112, 113,                   // 128 concurrent WebRTC media streams is another common observed breaking point,
-				119, 120, 121,                   // so these are here to help refine the identified limit to a more accurate value
-				122, 123, 124, 125, 126,         //
-				127, 128, 129,
-				255, 256, 257,
-				511, 512, 513,
-				1023, 1024, 1025,
-				2047, 2048, 2049,
-				4095, 4096, 4097,
-				8191, 8192, 8193,
-				16383, 16384, 16385,
-				32767, 32768, 32769,
-				65535 // Note that 65535 is the theoretical maximum limit for WebRTC data channels, since 65536 is a reserved ID that cannot be used
-			];
-			
-			// Determine if we are attempting to force the use of a specific video codec or using the browser's first supported codec
-			const h264Video = './video.mp4';
-			const vp9Video = './video.webm';
-			let videoURLs = [];
-			if ($('#codec-h264').is(':checked')) {
-				videoURLs = [h264Video];
-			}
-			else if ($('#codec-vp9').is(':checked')) {
-				videoURLs = [vp9Video];
+	// Wire up the download buttons to export our structured results
+	$('#download-json').on('click', () => { results.download('json'); });
+	$('#download-csv').on('click', () => { results.download('csv'); });
+	
+	// Reads the test suite settings from the controls
+	function readSettings()
+	{
+		return {
+			'codec': $('input[name="codec"]:checked').val(),
+			'codecSweep': $('#codec-sweep').is(':checked'),
+			'strategy': $('input[name="strategy"]:checked').val(),
+			'min': parseInt($('#search-min').val(), 10),
+			'max': parseInt($('#search-max').val(), 10),
+			'confirmations': parseInt($('#search-confirmations').val(), 10),
+			'statsInterval': parseInt($('#stats-interval').val(), 10),
+			'minDecodedFps': parseFloat($('#min-decoded-fps').val()),
+			'verifyRemoteFrames': $('#verify-remote-frames').is(':checked'),
+			'minDeliveryRatio': parseFloat($('#min-delivery-ratio').val()),
+			'verifyEncodedFrames': $('#verify-encoded-frames').is(':checked'),
+			'maxFrameLossRatio': parseFloat($('#max-frame-loss-ratio').val()),
+			'source': $('input[name="source"]:checked').val(),
+			'synthetic': {
+				'width': parseInt($('#synthetic-width').val(), 10),
+				'height': parseInt($('#synthetic-height').val(), 10),
+				'frameRate': parseFloat($('#synthetic-frame-rate').val()),
+				'duration': parseFloat($('#synthetic-duration').val()),
+				'mix': $('#synthetic-mix').val()
+			},
+			'dataChannelModes': $('input[name="dc-mode"]:checked').map((_, elem) => elem.value).get(),
+			'dataChannelNegotiation': $('input[name="dc-negotiation"]:checked').map((_, elem) => elem.value).get(),
+			'maxRetransmits': parseInt($('#dc-max-retransmits').val(), 10),
+			'maxPacketLifeTime': parseInt($('#dc-max-packet-lifetime').val(), 10),
+			'payloadType': $('input[name="payload-type"]:checked').val(),
+			'payloadSizes': $('#payload-sizes').val(),
+			'encodingProfiles': $('#encoding-profiles').val(),
+			'suiteMode': $('input[name="suite-mode"]:checked').val(),
+			'matrixMediaStreams': $('#matrix-media-streams').val(),
+			'incremental': {
+				'step': parseInt($('#incremental-step').val(), 10),
+				'churn': parseInt($('#incremental-churn').val(), 10),
+				'settleTime': parseInt($('#incremental-settle-time').val(), 10),
+				'minStreamFps': parseFloat($('#incremental-min-fps').val())
+			},
+			'peerConnections': {
+				'dataChannels': parseInt($('#pc-data-channels').val(), 10),
+				'mediaStreams': parseInt($('#pc-media-streams').val(), 10)
+			},
+			'peerMode': $('input[name="peer-mode"]:checked').val(),
+			'signalingRoom': $('#signaling-room').val(),
+			'parameters': $('#parameters').val().split(',').map((name) => name.trim()).filter((name) => name.length > 0),
+			'sequence': $('#sequence').val().split(',').map((v) => parseInt(v, 10)).filter((v) => Number.isNaN(v) === false),
+			'repetitions': parseInt($('#repetitions').val(), 10),
+			'minPassRate': parseFloat($('#min-pass-rate').val()),
+			'maxConsecutiveFailures': parseInt($('#max-consecutive-failures').val(), 10),
+			'leakCheck': {
+				'enabled': $('#leak-check').is(':checked'),
+				'maxMemoryGrowth': parseFloat($('#leak-max-memory-growth').val())
+			},
+			'timeouts': {
+				'setup': parseInt($('#timeout-setup').val(), 10),
+				'negotiation': parseInt($('#timeout-negotiation').val(), 10),
+				'ice': parseInt($('#timeout-ice').val(), 10),
+				'channelOpen': parseInt($('#timeout-channel-open').val(), 10),
+				'echo': parseInt($('#timeout-echo').val(), 10),
+				'playback': parseInt($('#timeout-playback').val(), 10),
+				'teardown': parseInt($('#timeout-teardown').val(), 10),
+				'signaling': parseInt($('#timeout-signaling').val(), 10)
+			},
+			'transport': {
+				'bundlePolicy': $('#bundle-policy').val(),
+				'rtcpMuxPolicy': $('#rtcp-mux-policy').val(),
+				'iceTransportPolicy': $('#ice-transport-policy').val(),
+				'iceServerURLs': $('#ice-server-urls').val(),
+				'iceUsername': $('#ice-username').val(),
+				'iceCredential': $('#ice-credential').val(),
+				'localTurn': $('#local-turn').is(':checked'),
+				'certificate': $('#certificate').val()
+			},
+			'captureDebugLogs': $('#capture-debug-logs').is(':checked'),
+			'baselineTolerance': parseFloat($('#baseline-tolerance').val()),
+			'autostart': false
+		};
+	}
+	
+	// Applies previously-stored test suite settings to the controls
+	function applySettings(settings)
+	{
+		$(`input[name="codec"][value="${settings['codec']}"]`).prop('checked', true);
+		$('#codec-sweep').prop('checked', settings['codecSweep']);
+		$(`input[name="strategy"][value="${settings['strategy']}"]`).prop('checked', true);
+		$('#search-min').val(settings['min']);
+		$('#search-max').val(settings['max']);
+		$('#search-confirmations').val(settings['confirmations']);
+		$('#stats-interval').val(settings['statsInterval']);
+		$('#min-decoded-fps').val(settings['minDecodedFps']);
+		$('#verify-remote-frames').prop('checked', settings['verifyRemoteFrames']);
+		$('#min-delivery-ratio').val(settings['minDeliveryRatio']);
+		$('#verify-encoded-frames').prop('checked', settings['verifyEncodedFrames']);
+		$('#max-frame-loss-ratio').val(settings['maxFrameLossRatio']);
+		$(`input[name="source"][value="${settings['source']}"]`).prop('checked', true);
+		$('#synthetic-width').val(settings['synthetic']['width']);
+		$('#synthetic-height').val(settings['synthetic']['height']);
+		$('#synthetic-frame-rate').val(settings['synthetic']['frameRate']);
+		$('#synthetic-duration').val(settings['synthetic']['duration']);
+		$('#synthetic-mix').val(settings['synthetic']['mix']);
+		$('input[name="dc-mode"]').each((_, elem) => { elem.checked = settings['dataChannelModes'].includes(elem.value); });
+		$('input[name="dc-negotiation"]').each((_, elem) => { elem.checked = settings['dataChannelNegotiation'].includes(elem.value); });
+		$('#dc-max-retransmits').val(settings['maxRetransmits']);
+		$('#dc-max-packet-lifetime').val(settings['maxPacketLifeTime']);
+		$(`input[name="payload-type"][value="${settings['payloadType']}"]`).prop('checked', true);
+		$('#payload-sizes').val(settings['payloadSizes']);
+		$('#encoding-profiles').val(settings['encodingProfiles']);
+		$(`input[name="suite-mode"][value="${settings['suiteMode']}"]`).prop('checked', true);
+		$('#matrix-media-streams').val(settings['matrixMediaStreams']);
+		$('#incremental-step').val(settings['incremental']['step']);
+		$('#incremental-churn').val(settings['incremental']['churn']);
+		$('#incremental-settle-time').val(settings['incremental']['settleTime']);
+		$('#incremental-min-fps').val(settings['incremental']['minStreamFps']);
+		$('#pc-data-channels').val(settings['peerConnections']['dataChannels']);
+		$('#pc-media-streams').val(settings['peerConnections']['mediaStreams']);
+		$(`input[name="peer-mode"][value="${settings['peerMode']}"]`).prop('checked', true);
+		$('#signaling-room').val(settings['signalingRoom']);
+		$('#parameters').val(settings['parameters'].join(', '));
+		$('#sequence').val(settings['sequence'].join(', '));
+		$('#repetitions').val(settings['repetitions']);
+		$('#min-pass-rate').val(settings['minPassRate']);
+		$('#max-consecutive-failures').val(settings['maxConsecutiveFailures']);
+		$('#leak-check').prop('checked', settings['leakCheck']['enabled']);
+		$('#leak-max-memory-growth').val(settings['leakCheck']['maxMemoryGrowth']);
+		$('#timeout-setup').val(settings['timeouts']['setup']);
+		$('#timeout-negotiation').val(settings['timeouts']['negotiation']);
+		$('#timeout-ice').val(settings['timeouts']['ice']);
+		$('#timeout-channel-open').val(settings['timeouts']['channelOpen']);
+		$('#timeout-echo').val(settings['timeouts']['echo']);
+		$('#timeout-playback').val(settings['timeouts']['playback']);
+		$('#timeout-teardown').val(settings['timeouts']['teardown']);
+		$('#timeout-signaling').val(settings['timeouts']['signaling']);
+		$('#bundle-policy').val(settings['transport']['bundlePolicy']);
+		$('#rtcp-mux-policy').val(settings['transport']['rtcpMuxPolicy']);
+		$('#ice-transport-policy').val(settings['transport']['iceTransportPolicy']);
+		$('#ice-server-urls').val(settings['transport']['iceServerURLs']);
+		$('#ice-username').val(settings['transport']['iceUsername']);
+		$('#ice-credential').val(settings['transport']['iceCredential']);
+		$('#local-turn').prop('checked', settings['transport']['localTurn']);
+		$('#certificate').val(settings['transport']['certificate']);
+		$('#capture-debug-logs').prop('checked', settings['captureDebugLogs']);
+		$('#baseline-tolerance').val(settings['baselineTolerance']);
+	}
+	
+	// The settings specified by the controls when the page loads, which provide the defaults for any settings a configuration omits
+	const defaultSettings = readSettings();
+	
+	// Runs the test suite with the settings stored in the supplied progress, skipping any steps that have already been completed
+	async function runSuite(progress)
+	{
+		// The common settings which remain the same across all tests
+		// (Progress stored by earlier versions of the test harness may lack newer settings, so these fall back to their defaults)
+		const settings = SuiteConfig.merge(defaultSettings, progress.getSettings());
+		const videoLocal = $('#video-local');
+		const videoRemote = $('#video-remote');
+		captureDebugLogs(settings);
+		
+		// Creates the search strategy used to determine the sequence of values we test for a parameter, with the specified upper bound
+		// (The fixed sequence strategy uses the configured sequence of values if one was specified, otherwise the parameter's default sequence
+		// if it has one, and otherwise the default sequence of the strategy itself)
+		const createSearch = (max, defaultSequence) =>
+		{
+			if (settings['strategy'] === 'adaptive') {
+				return new AdaptiveSearch(settings['min'], max, settings['confirmations']);
+			}
+			else
+			{
+				let sequence = (settings['sequence'].length > 0) ? settings['sequence'] : ((defaultSequence !== null) ? defaultSequence : FixedSequenceSearch.defaultSequence());
+				return new FixedSequenceSearch(sequence, settings['min'], max, settings['maxConsecutiveFailures']);
+			}
+		};
+		
+		// The policy that determines how many times each value is tested and what fraction of those runs must pass for it to be supported
+		const policy = new RepetitionPolicy(settings['repetitions'], settings['minPassRate']);
+		
+		// Determine if we are attempting to force the use of a specific video codec or using the browser's first supported codec
+		const h264Video = './video.mp4';
+		const vp9Video = './video.webm';
+		const codec = settings['codec'];
+		let videoURLs = [];
+		if (codec === 'h264') {
+			videoURLs = [h264Video];
+		}
+		else if (codec === 'vp9') {
+			videoURLs = [vp9Video];
+		}
+		else {
+			videoURLs = [h264Video, vp9Video];
+		}
+		
+		// The options for each test run (a minimum decoded frame rate of zero disables the quality threshold)
+		const runOptions = {
+			'statsInterval': settings['statsInterval'],
+			'minDecodedFps': (settings['minDecodedFps'] > 0) ? settings['minDecodedFps'] : null,
+			'verifyRemoteFrames': settings['verifyRemoteFrames'],
+			'minDeliveryRatio': settings['minDeliveryRatio'],
+			'verifyEncodedFrames': settings['verifyEncodedFrames'],
+			'maxFrameLossRatio': settings['maxFrameLossRatio'],
+			'synthetic': null,
+			'setupTimeout': settings['timeouts']['setup'],
+			'negotiationTimeout': settings['timeouts']['negotiation'],
+			'iceTimeout': settings['timeouts']['ice'],
+			'channelOpenTimeout': settings['timeouts']['channelOpen'],
+			'echoTimeout': settings['timeouts']['echo'],
+			'playbackTimeout': settings['timeouts']['playback'],
+			'teardownTimeout': settings['timeouts']['teardown'],
+			'signalingTimeout': settings['timeouts']['signaling']
+		};
+		
+		// If we are forcing a specific video codec then it must also be forced on the wire, since the captured frames are re-encoded
+		// by WebRTC with whichever codec is negotiated, regardless of the codec used by the video file
+		if (codec !== 'default')
+		{
+			runOptions['videoCodec'] = CodecPreferences.findByMimeType((codec === 'h264') ? 'video/H264' : 'video/VP9');
+			if (runOptions['videoCodec'] === null)
+			{
+				let reason = CodecPreferences.isSupported() ? `the browser does not support the ${codec.toUpperCase()} codec` : 'the browser does not support setCodecPreferences()';
+				logFailure(`Unable to force the ${codec.toUpperCase()} codec: ${reason}`, false, true);
+				reportStatus('error', {'error': `unable to force the ${codec.toUpperCase()} codec: ${reason}`});
+				return;
+			}
+		}
+		
+		// Encoded frame verification requires support for encoded transforms
+		if (settings['verifyEncodedFrames'] === true && EncodedFrameIntegrity.api() === null)
+		{
+			logFailure('Unable to verify encoded frames, since the browser supports neither RTCRtpScriptTransform nor createEncodedStreams()', false, true);
+			reportStatus('error', {'error': 'unable to verify encoded frames: the browser does not support encoded transforms'});
+			return;
+		}
+		
+		// Build the transport configuration shared by every peer connection
+		try {
+			runOptions['connection'] = await TransportConfig.build(settings['transport']);
+		}
+		catch (err)
+		{
+			logFailure(`Invalid transport settings: ${err.message}`, false, true);
+			reportStatus('error', {'error': `invalid transport settings: ${err.message}`});
+			return;
+		}
+		const transport = TransportConfig.summarise(settings['transport'], runOptions['connection']);
+		
+		// Determine if we are generating synthetic media instead of streaming our video file
+		if (settings['source'] === 'synthetic')
+		{
+			runOptions['synthetic'] = {
+				'width': settings['synthetic']['width'],
+				'height': settings['synthetic']['height'],
+				'frameRate': settings['synthetic']['frameRate'],
+				'duration': settings['synthetic']['duration'],
+				'audio': (settings['synthetic']['mix'] !== 'video'),
+				'video': (settings['synthetic']['mix'] !== 'audio')
+			};
+		}
+		
+		// Parse the payload sizes for our data channel tests
+		let payloadSizes = [];
+		try {
+			payloadSizes = DataChannelPayloads.parseSizes(settings['payloadSizes']);
+		}
+		catch (err)
+		{
+			logFailure(`Invalid data channel payload sizes: ${err.message}`, false, true);
+			reportStatus('error', {'error': `invalid data channel payload sizes: ${err.message}`});
+			return;
+		}
+		
+		// Parse the sender encoding profiles for our media stream tests
+		let encodingProfiles = [];
+		try {
+			encodingProfiles = SenderEncodings.parseProfiles(settings['encodingProfiles']);
+		}
+		catch (err)
+		{
+			logFailure(`Invalid sender encoding profiles: ${err.message}`, false, true);
+			reportStatus('error', {'error': `invalid sender encoding profiles: ${err.message}`});
+			return;
+		}
+		
+		// The adaptive search doubles the tested value starting from the minimum, so it would never move past a minimum below 1
+		if (settings['strategy'] === 'adaptive' && (Number.isInteger(settings['min']) === false || settings['min'] < 1))
+		{
+			logFailure(`Invalid search settings: the adaptive search requires a minimum value of at least 1, not ${settings['min']}`, false, true);
+			reportStatus('error', {'error': `invalid search settings: the adaptive search requires a minimum value of at least 1, not ${settings['min']}`});
+			return;
+		}
+		
+		// Build the data channel configuration for each combination of the selected reliability modes and negotiation modes
+		const modes = (settings['dataChannelModes'].length > 0) ? settings['dataChannelModes'] : ['reliable'];
+		const negotiations = (settings['dataChannelNegotiation'].length > 0) ? settings['dataChannelNegotiation'] : ['in-band'];
+		let dataChannelConfigs = [];
+		for (let mode of modes)
+		{
+			for (let negotiation of negotiations)
+			{
+				let modeName = mode;
+				if (mode === 'maxRetransmits') {
+					modeName = `unordered, maxRetransmits=${settings['maxRetransmits']}`;
+				}
+				else if (mode === 'maxPacketLifeTime') {
+					modeName = `unordered, maxPacketLifeTime=${settings['maxPacketLifeTime']}ms`;
+				}
+				
+				dataChannelConfigs.push({
+					'name': `${modeName}, ${negotiation}`,
+					'settings': {
+						'ordered': (mode === 'reliable'),
+						'maxRetransmits': (mode === 'maxRetransmits') ? settings['maxRetransmits'] : null,
+						'maxPacketLifeTime': (mode === 'maxPacketLifeTime') ? settings['maxPacketLifeTime'] : null,
+						'negotiated': (negotiation === 'negotiated'),
+						'binary': (settings['payloadType'] === 'binary'),
+						'payloadSizes': payloadSizes
+					}
+				});
+			}
+		}
+		
+		// Incremental mode keeps both ends of its connection in this page, and each step must add more items than it removes
+		if (settings['suiteMode'] === 'incremental')
+		{
+			let error = null;
+			if (settings['peerMode'] !== 'loopback') {
+				error = 'incremental mode is only supported in loopback mode';
+			}
+			else if (settings['incremental']['step'] < 1 || settings['incremental']['churn'] >= settings['incremental']['step']) {
+				error = 'incremental mode requires a step of at least 1 and fewer removals than additions per step';
+			}
+			
+			if (error !== null)
+			{
+				logFailure(`Invalid incremental mode settings: ${error}`, false, true);
+				reportStatus('error', {'error': `invalid incremental mode settings: ${error}`});
+				return;
+			}
+		}
+		
+		// Parse the media stream counts for matrix mode
+		let matrixCounts = [];
+		if (settings['suiteMode'] === 'matrix')
+		{
+			try {
+				matrixCounts = MatrixReport.parseCounts(settings['matrixMediaStreams']);
+			}
+			catch (err)
+			{
+				logFailure(`Invalid matrix media stream counts: ${err.message}`, false, true);
+				reportStatus('error', {'error': `invalid matrix media stream counts: ${err.message}`});
+				return;
+			}
+		}
+		
+		// If we are sweeping video codecs then the media stream limit is instead tested separately with each codec the browser can send
+		let videoCodecs = [null];
+		if (settings['codecSweep'] === true)
+		{
+			let codecs = CodecPreferences.enumerate();
+			if (codecs.length === 0) {
+				logStatus('Unable to sweep video codecs, since the browser does not support setCodecPreferences()', false, true);
 			}
 			else {
-				videoURLs = [h264Video, vp9Video];
+				videoCodecs = codecs;
+			}
+		}
+		
+		// Now that the settings have been validated, join the signaling room as the offerer if the other end of each connection lives in
+		// another browser (the channel is stopped once the test suite is over, so that neither page is left polling the signaling room)
+		let signaling = null;
+		if (settings['peerMode'] === 'offerer')
+		{
+			signaling = new SignalingChannel(settings['signalingRoom'], 'offerer');
+			signaling.start();
+			runOptions['signaling'] = {'channel': signaling, 'role': 'offerer'};
+		}
+		
+		try
+		{
+			// If we are checking for leaks then sample the baseline resources before the first test run and watch the tracks created by each run
+			// (The maximum memory growth is specified in MiB)
+			let leaks = null;
+			if (settings['leakCheck']['enabled'] === true)
+			{
+				leaks = new LeakMonitor(settings['leakCheck']['maxMemoryGrowth'] * 1024 * 1024);
+				await leaks.start();
+				runOptions['leakMonitor'] = leaks;
 			}
 			
-			// The parameters we test
-			let params = {
-				
-				'dataChannels': {
-					
-					// The human-readable description of the parameter, in plural form
-					'description': {
-						'singular': 'data channel',
-						'plural': 'data channels'
-					},
-					
-					// The lambda function to return a test run for testing this parameter in isolation
-					'isolation': (v) => new WebRtcLimitTestRun(videoLocal, videoRemote, videoURLs, 1, v),
-					
-					// This will be populated with the maximum value for this parameter supported by the current web browser
-					'maximum': 0
-				},
-				
-				'mediaStreams': {
-					
-					// The human-readable description of the parameter, in plural form
-					'description': {
-						'singular': 'media stream',
-						'plural': 'media streams'
-					},
-					
-					// The lambda function to return a test run for testing this parameter in isolation
-					'isolation': (v) => new WebRtcLimitTestRun(videoLocal, videoRemote, videoURLs, v, 1),
-					
-					// This will be populated with the maximum value for this parameter supported by the current web browser
-					'maximum': 0
+			// The parameters we test, as declared by the parameter modules registered for the current suite mode
+			let params = parameterRegistry.build(settings['suiteMode'], {
+				'settings': settings,
+				'videoLocal': videoLocal,
+				'videoRemote': videoRemote,
+				'videoURLs': videoURLs,
+				'runOptions': runOptions,
+				'dataChannelConfigs': dataChannelConfigs,
+				'videoCodecs': videoCodecs,
+				'encodingProfiles': encodingProfiles,
+				'matrixCounts': matrixCounts
+			});
+			
+			// Only test the configured parameters, if any were specified
+			// (A data channel configuration such as "dataChannels[unordered, in-band]" is selected by its own name or by "dataChannels")
+			if (settings['parameters'].length > 0)
+			{
+				for (let param of Object.keys(params))
+				{
+					if (settings['parameters'].some((name) => param === name || param.startsWith(`${name}[`)) === false) {
+						delete params[param];
+					}
 				}
-				
+			}
+			
+			// Records the structured result for a test run, along with any extra fields declared by the parameter's module
+			const recordResult = (param, value, test, duration, error, reason, repetition, leakCheck) =>
+			{
+				let resultFields = params[param]['resultFields'];
+				results.addRecord(Object.assign({
+					'parameter': param,
+					'value': value,
+					'repetition': repetition,
+					'passed': (error === null),
+					'error': (error !== null) ? `${error}` : null,
+					'failureReason': reason,
+					'failure': (error !== null) ? TestFailure.summarise(error) : null,
+					'duration': duration,
+					'mediaDuration': test.getMediaDuration(),
+					'overhead': (duration !== null) ? duration - test.getMediaDuration() : null,
+					'mediaStreams': test.getNumMediaStreams(),
+					'dataChannels': test.getNumDataChannels(),
+					'peerConnections': test.getNumPeerConnections(),
+					'codec': codec,
+					'source': (settings['source'] === 'synthetic') ? Object.assign({'mode': 'synthetic'}, settings['synthetic']) : {'mode': 'file'},
+					'stats': test.getStatsSummary(),
+					'frames': test.getFrameSummary(),
+					'integrity': test.getIntegritySummary(),
+					'dataChannel': test.getDataChannelSettings(),
+					'payloads': test.getPayloadSummary(),
+					'videoCodec': test.getCodecSummary(),
+					'encodings': test.getEncodingSummary(),
+					'transport': transport,
+					'timing': test.getTimingSummary(),
+					'peerConnectionPool': test.getPeerConnectionSummary(),
+					'leakCheck': leakCheck,
+					'peerMode': test.getRole(),
+					'remote': test.getRemoteSummary(),
+					'userAgent': navigator.userAgent,
+					'timestamp': new Date().toISOString()
+				}, (resultFields !== null) ? resultFields(test, value) : {}));
+			};
+			
+			// Records the structured result for a step of an incremental renegotiation test run
+			// (The step details are recorded without the phase timings, which are recorded in the same place as for other test runs)
+			const recordStep = (param, step, reason) =>
+			{
+				let details = Object.assign({}, step);
+				delete details['timing'];
+				results.addRecord({
+					'parameter': param,
+					'value': step['total'],
+					'repetition': null,
+					'passed': step['passed'],
+					'error': step['error'],
+					'failureReason': reason,
+					'failure': step['failure'],
+					'duration': step['duration'],
+					'mediaStreams': step['mediaStreams'],
+					'dataChannels': step['dataChannels'],
+					'codec': codec,
+					'source': (settings['source'] === 'synthetic') ? Object.assign({'mode': 'synthetic'}, settings['synthetic']) : {'mode': 'file'},
+					'timing': step['timing'],
+					'transport': transport,
+					'step': details,
+					'peerMode': 'loopback',
+					'userAgent': navigator.userAgent,
+					'timestamp': new Date().toISOString()
+				});
 			};
 			
 			// Hide the controls and show both the status container and video element container
@@ -620,40 +1940,432 @@ $(document).ready(() =>
 			statusContainer.show();
 			videoContainer.show();
 			
-			// Test each of our parameters in isolation to determine the limit for the current browser
-			for (let param of Object.keys(params))
+			// If we are resuming a test suite that was interrupted by a browser crash then treat the value being tested at the time as a failure
+			let crashed = progress.getCurrent();
+			if (crashed !== null)
 			{
-				// Log output
-				let details = params[param];
-				logStatus(`Determining the maximum supported number of ${details['description']['plural']}...`, false, true);
+				let details = params[crashed['parameter']];
+				let singularOrPlural = (crashed['value'] > 1) ? details['description']['plural'] : details['description']['singular'];
+				logStatus(`Resuming interrupted test suite: the browser crashed while testing ${crashed['value']} ${singularOrPlural}`, false, true);
+				if (details['incremental'] !== undefined) {
+					recordStep(crashed['parameter'], {'total': crashed['value'], 'dataChannels': null, 'mediaStreams': null, 'passed': false, 'error': 'crash', 'failure': null, 'duration': null, 'timing': null}, 'crash');
+				}
+				else {
+					recordResult(crashed['parameter'], crashed['value'], details['isolation'](crashed['value']), null, 'crash', 'crash', null, null);
+				}
+				progress.complete(crashed['parameter'], crashed['value'], false, 'crash', results);
+			}
+			
+			// Let any scripts driving the test suite know that it is running
+			reportStatus('running', {'parameter': null, 'value': null, 'maxima': {}});
+			
+			// Determines the maximum for a parameter by testing the values chosen by the search strategy in isolation, up to the specified upper bound
+			const searchMaximum = async (param, details, max) =>
+			{
+				// Restore the search strategy for the parameter, replaying any values tested before the test suite was interrupted
+				let search = progress.restoreSearch(param, createSearch(max, details['defaultSequence']));
+				let repeated = (policy.getRepetitions() > 1) ? ` and ${policy.describe()}` : '';
+				logStatus(`Determining the maximum supported number of ${details['description']['plural']} using ${search.describe()}${repeated}...`, false, true);
 				
-				// Test increasing values for the parameter in isolation until we determine the maximum
-				for (let value of paramSequence)
+				// Test the values chosen by the search strategy for the parameter in isolation until it has determined the maximum
+				// (Each value is tested the number of times specified by our repetition policy, stopping early once its required pass rate is unreachable)
+				const repetitions = policy.getRepetitions();
+				for (let value = search.nextValue(); value !== null; value = search.nextValue())
 				{
-					try
+					let singularOrPlural = (value > 1) ? details['description']['plural'] : details['description']['singular'];
+					progress.begin(param, value);
+					reportStatus('running', {'parameter': param, 'value': value});
+					let passes = 0;
+					let reason = null;
+					for (let repetition = 0; policy.isDecided(repetition, passes) === false; ++repetition)
 					{
-						let singularOrPlural = (value > 1) ? details['description']['plural'] : details['description']['singular'];
-						logStatus(`Testing ${value} ${singularOrPlural}...`);
+						logStatus(`Testing ${value} ${singularOrPlural}${(repetitions > 1) ? ` (repetition ${repetition + 1} of ${repetitions})` : ''}...`);
 						let test = details['isolation'](value);
 						let start = window.performance.now();
-						await test.run();
-						params[param]['maximum'] = value;
-						let end = window.performance.now();
-						let duration = (end - start) / 1000.0;
+						let error = null;
+						try {
+							await test.run();
+						}
+						catch (err) {
+							error = err;
+						}
+						
+						// Report the outcome of the test run, along with the time spent in each phase
+						let duration = (window.performance.now() - start) / 1000.0;
 						let overhead = duration - test.getMediaDuration();
-						logStatus(`Test succeeded in ${duration.toFixed(2)} seconds (video duration ${test.getMediaDuration().toFixed(2)} seconds, test run overhead ${overhead.toFixed(2)} seconds)`, true);
+						if (error === null) {
+							logStatus(`Test succeeded in ${duration.toFixed(2)} seconds (video duration ${test.getMediaDuration().toFixed(2)} seconds, test run overhead ${overhead.toFixed(2)} seconds)`, true);
+						}
+						else
+						{
+							logFailure(`Test failed! ${error}`, true);
+							logFailure(`(Failure: ${TestFailure.describe(error)})`, true);
+						}
+						logStatus(`(Phases: ${PhaseTimer.describe(test.getTimingSummary())})`, true);
+						
+						// Check for resources left behind by the test run, so a limit caused by accumulated leaks can be told apart from a genuine one
+						let leakCheck = (leaks !== null) ? await leaks.check() : null;
+						if (leakCheck !== null && leakCheck['leaks'].length > 0) {
+							logStatus(`(Possible resource leak after teardown: ${leakCheck['leaks'].join(', ')})`, true);
+						}
+						
+						// Record the structured result for the test run
+						reason = (error !== null) ? TestFailure.categoryOf(error) : reason;
+						recordResult(param, value, test, duration, error, (error !== null) ? reason : null, repetition, leakCheck);
+						passes += (error === null) ? 1 : 0;
 					}
-					catch (err)
+					
+					// Report the pass rate for the value if it was repeated
+					let passed = policy.isSupported(passes);
+					if (repetitions > 1)
+					{
+						let summary = policy.summarise(results.getRecords(), param).find((s) => s['value'] === value);
+						logStatus(`${value} ${singularOrPlural} ${passed ? 'supported' : 'not supported'}: ${RepetitionPolicy.describeValue(summary)}`);
+					}
+					
+					// Record the outcome for the value in our progress and search strategy
+					progress.complete(param, value, passed, (passed === false) ? reason : null, results);
+					search.recordResult(value, passed);
+				}
+				
+				return search.getMaximum();
+			};
+			
+			// Determines the maximum for a parameter by adding items to a single long-lived connection in steps until a step fails
+			// (Each step is recorded as a separate result, and if the browser crashed during a previous attempt then the step that was
+			// in progress has already been recorded as a failure, so the maximum is taken from the steps that passed before the crash)
+			const runIncremental = async (param, details) =>
+			{
+				let history = progress.getParameter(param)['history'];
+				if (history.some((entry) => entry['passed'] === false)) {
+					return Math.max(0, ...history.filter((entry) => entry['passed'] === true).map((entry) => entry['value']));
+				}
+				
+				let churn = (settings['incremental']['churn'] > 0) ? `, removing ${settings['incremental']['churn']} after each step` : '';
+				logStatus(`Determining the maximum number of ${details['description']['plural']} in steps of ${settings['incremental']['step']}${churn}...`, false, true);
+				let test = details['incremental']();
+				try
+				{
+					await test.run(
+						(step) =>
+						{
+							progress.begin(param, step['total']);
+							reportStatus('running', {'parameter': param, 'value': step['total']});
+							logStatus(`${(step['action'] === 'add') ? 'Adding' : 'Removing'} ${step['count']} and renegotiating (${step['total']} in total)...`);
+						},
+						(step) =>
+						{
+							if (step['passed'] === true) {
+								logStatus(`Step succeeded in ${step['duration'].toFixed(2)} seconds (${PhaseTimer.describe(step['timing'])})`, true);
+							}
+							else {
+								logFailure(`Step failed! ${step['error']}`, true);
+							}
+							
+							let reason = (step['failure'] !== null) ? step['failure']['category'] : null;
+							recordStep(param, step, reason);
+							progress.complete(param, step['total'], step['passed'], reason, results);
+						}
+					);
+				}
+				catch (err) {
+					logFailure(`Incremental test run failed! ${err}`, true);
+				}
+				
+				return test.getMaximum();
+			};
+			
+			// Test each of our parameters in isolation to determine the limit for the current browser
+			// (When testing parameters on the feasible frontier of the matrix, adding media streams can only reduce the number of data channels
+			// supported, so each search is bounded by the previous maximum and is skipped entirely once the minimum value is unsupported)
+			let frontierBound = null;
+			for (let param of Object.keys(params))
+			{
+				// Skip any parameters for which the search was completed prior to the test suite being interrupted
+				let details = params[param];
+				let paramProgress = progress.getParameter(param);
+				if (paramProgress['complete'] === true)
+				{
+					details['maximum'] = paramProgress['maximum'];
+					frontierBound = (details['frontier'] === true) ? details['maximum'] : frontierBound;
+					continue;
+				}
+				
+				// Skip any frontier parameters that cannot possibly be supported
+				let max = settings['max'];
+				if (details['frontier'] === true && frontierBound !== null)
+				{
+					if (frontierBound < settings['min'])
 					{
-						logStatus(`Test failed! ${err}`, true);
-						break;
+						logStatus(`Skipping ${details['description']['plural']}, since fewer media streams already failed to support ${settings['min']}`, false, true);
+						progress.finishParameter(param, 0, results);
+						continue;
 					}
+					
+					max = Math.min(max, frontierBound);
 				}
 				
-				// Report the identified maximum value for the current parameter
+				// Determine the maximum for the parameter, either by adding to a single connection in steps or by searching for it
+				details['maximum'] = (details['incremental'] !== undefined) ? await runIncremental(param, details) : await searchMaximum(param, details, max);
+				frontierBound = (details['frontier'] === true) ? details['maximum'] : frontierBound;
+				
+				// Summarise the pass rate and durations of each tested value, along with the confidence behind the identified maximum
+				let valueSummaries = policy.summarise(results.getRecords(), param);
+				let confidence = valueSummaries.find((s) => s['value'] === details['maximum']);
+				results.updateSummary({
+					'maxima': Object.fromEntries(Object.keys(params).map((p) => [p, params[p]['maximum']])),
+					'values': Object.assign({}, results.getSummary()['values'], {[param]: valueSummaries}),
+					'confidence': Object.assign({}, results.getSummary()['confidence'], {[param]: (confidence !== undefined) ? confidence : null}),
+					'leaks': (leaks !== null) ? leaks.getSummary() : null
+				});
+				reportStatus('running', {'maxima': results.getSummary()['maxima']});
+				progress.finishParameter(param, details['maximum'], results);
+				
+				// Report the identified maximum value for the current parameter and plot its phase timings
 				logStatus(`Identified maximum for ${details['description']['plural']}: ${details['maximum']}`, false, true);
+				if (policy.getRepetitions() > 1 && confidence !== undefined) {
+					logStatus(`(The maximum ${RepetitionPolicy.describeValue(confidence)})`, true);
+				}
+				renderTimingCharts(params);
+			}
+			
+			// Render the matrix results and include them in the saved results
+			if (settings['suiteMode'] === 'matrix')
+			{
+				let matrix = MatrixReport.build(results.getRecords(), matrixCounts, Object.fromEntries(Object.keys(params).map((p) => [p, params[p]['maximum']])), policy);
+				results.updateSummary({'matrix': matrix});
+				MatrixReport.render($('#matrix-results'), matrix);
+				$('#matrix-results').show();
+			}
+			
+			// The test suite is complete, so there is nothing left to resume
+			progress.clear();
+			logStatus('Test suite complete.', false, true);
+			await renderBaselineReport(settings);
+			reportStatus('complete', {'parameter': null, 'value': null, 'maxima': Object.fromEntries(Object.keys(params).map((p) => [p, params[p]['maximum']]))});
+		}
+		finally
+		{
+			// Let our answering peer know that the test suite is over, whether or not it completed
+			if (signaling !== null)
+			{
+				try {
+					await signaling.send('run', null, {'complete': true});
+				}
+				catch (err) {
+					console.log('[Signaling] Failed to notify the answering peer that the test suite is complete: ', err);
+				}
+				
+				signaling.stop();
+			}
+		}
+	}
+	
+	// Compares the results of the session against the baseline for its user-agent family once the server has all of them, and renders the comparison
+	async function renderBaselineReport(settings)
+	{
+		if (sessionID === null) {
+			return;
+		}
+		
+		try
+		{
+			await results.flush();
+			let report = await BaselineReport.fetch(sessionID, settings['baselineTolerance']);
+			logStatus(BaselineReport.describe(report), false, report['regressions'] > 0);
+			if (report['baseline'] !== null && report['baseline']['session'] !== sessionID)
+			{
+				BaselineReport.render($('#baseline-report')[0], report);
+				$('#baseline-report').show();
+			}
+		}
+		catch (err) {
+			logFailure(`Unable to compare the results against a baseline: ${err.message}`, false);
+		}
+	}
+	
+	// Plots the phase timings and description sizes against the tested value for each parameter that has result records
+	function renderTimingCharts(params)
+	{
+		let container = $('#timing-charts');
+		container.empty();
+		for (let param of Object.keys(params))
+		{
+			if (results.getRecords().some((record) => record['parameter'] === param))
+			{
+				let section = $(document.createElement('div'));
+				container.append($(document.createElement('p')).append($(document.createElement('strong')).text(`Phase timings for ${params[param]['description']['plural']}:`)));
+				container.append(section);
+				SvgChart.render(section[0], PhaseTimer.buildCharts(results.getRecords(), param, `Number of ${params[param]['description']['plural']}`));
+			}
+		}
+		
+		container.show();
+	}
+	
+	// Acts as the answering peer for a test suite run by an offering peer in another tab or browser, until the offerer signals that it is complete
+	async function answerSuite(settings)
+	{
+		// Hide the controls and show both the status container and video element container
+		$('#controls').hide();
+		statusContainer.show();
+		videoContainer.show();
+		captureDebugLogs(settings);
+		
+		// Build the transport configuration for our end of each connection
+		// (This uses our own transport settings, since ICE server credentials and certificates are not shared with the offering peer)
+		let connection = {};
+		try {
+			connection = await TransportConfig.build(settings['transport']);
+		}
+		catch (err)
+		{
+			logFailure(`Invalid transport settings: ${err.message}`, false, true);
+			reportStatus('error', {'error': `invalid transport settings: ${err.message}`});
+			return;
+		}
+		
+		// Join the signaling room as the answerer
+		let signaling = new SignalingChannel(settings['signalingRoom'], 'answerer');
+		signaling.start();
+		logStatus(`Waiting for the offering peer to start a test suite in signaling room "${signaling.getRoom()}"...`, false, true);
+		
+		// Answer each test run as the offerer starts it
+		while (true)
+		{
+			let message = await signaling.receive('run', null, null);
+			let request = message['data'];
+			if (request['complete'] === true) {
+				break;
 			}
+			
+			logStatus(`Answering test run with ${request['numMediaStreams']} media streams and ${request['numDataChannels']} data channels...`);
+			let test = new WebRtcLimitTestRun($('#video-local'), $('#video-remote'), [], request['numMediaStreams'], request['numDataChannels'], {
+				'statsInterval': request['statsInterval'],
+				'minDecodedFps': request['minDecodedFps'],
+				'dataChannel': request['dataChannel'],
+				'connection': connection,
+				'signaling': {'channel': signaling, 'role': 'answerer', 'run': message['run']}
+			});
+			
+			// Answer the test run in the background so we can respond to the next one even if this one never completes
+			test.run().then(
+				() => { logStatus('Test run complete.', true); },
+				(err) => { logFailure(`Test run failed! ${err}`, true); }
+			);
+		}
+		
+		signaling.stop();
+		logStatus('Test suite complete.', false, true);
+	}
+	
+	// If a previous test suite was interrupted (e.g. by a browser crash) then offer to resume it
+	let storedProgress = SuiteProgress.load((message) => { logFailure(message, true); });
+	if (storedProgress !== null)
+	{
+		let crashed = storedProgress.getCurrent();
+		$('#resume-details').text(
+			(crashed !== null) ?
+				`A previous test suite was interrupted while testing ${crashed['value']} for the "${crashed['parameter']}" parameter.` :
+				'A previous test suite was interrupted before it completed.'
+		);
+		
+		$('#resume-prompt').show();
+		$('#resume-button').on('click', () => { resumeSuite(); });
+		$('#discard-button').on('click', () =>
+		{
+			$('#resume-prompt').hide();
+			storedProgress.clear();
+		});
+	}
+	
+	// Resumes the interrupted test suite
+	function resumeSuite()
+	{
+		// Continue submitting logs and results to the session of the interrupted test suite
+		$('#resume-prompt').hide();
+		applySettings(SuiteConfig.merge(defaultSettings, storedProgress.getSettings()));
+		if (storedProgress.getSession() !== null)
+		{
+			sessionID = storedProgress.getSession();
+			results.setSession(sessionID);
+			logs.setSession(sessionID);
+		}
+		
+		let restored = storedProgress.getResults();
+		results.restore(restored['records'], restored['summary']);
+		activeProgress = storedProgress;
+		return runSuite(storedProgress);
+	}
+	
+	// Starts a new test suite with the supplied settings
+	async function startSuite(settings)
+	{
+		// The answering peer in a two-browser test suite simply responds to the test runs started by the offering peer
+		$('#resume-prompt').hide();
+		if (settings['peerMode'] === 'answerer')
+		{
+			await answerSuite(settings);
+			return;
+		}
+		
+		// Starting a new test suite discards any progress from an interrupted one
+		activeProgress = SuiteProgress.create(sessionID, settings, (message) => { logFailure(message, true); });
+		await runSuite(activeProgress);
+	}
+	
+	// Wire up the run button to trigger the test suite
+	let runButton = $('#run-button');
+	runButton[0].addEventListener(
+		'click', async () => {
+			await startSuite(readSettings());
 		},
 		false
 	);
+	
+	// Wire up the file input to load a configuration from a JSON file
+	let configStatus = $('#config-status');
+	$('#config-file').on('change', async (event) =>
+	{
+		let file = event.target.files[0];
+		if (file === undefined) {
+			return;
+		}
+		
+		try
+		{
+			applySettings(SuiteConfig.merge(readSettings(), await SuiteConfig.fromFile(file, defaultSettings)));
+			configStatus.text(`Loaded configuration from ${file.name}.`);
+		}
+		catch (err) {
+			configStatus.text(`Failed to load configuration: ${err.message}`);
+		}
+	});
+	
+	// Apply any configuration specified by the query parameters, and start the test suite without any interaction if requested
+	// (We wait for the session ID request to complete first so that the log messages for the test suite are stored by the server)
+	// (If the "resume" query parameter is present then an interrupted test suite is resumed instead of starting a new one)
+	SuiteConfig.fromQuery(window.location.search, defaultSettings).then(
+		async (config) =>
+		{
+			if (storedProgress !== null && new URLSearchParams(window.location.search).has('resume'))
+			{
+				await resumeSuite();
+				return;
+			}
+			
+			let settings = SuiteConfig.merge(readSettings(), config);
+			applySettings(settings);
+			if (settings['autostart'] === true)
+			{
+				await Promise.resolve(sessionRequest).catch(() => {});
+				await startSuite(settings);
+			}
+		},
+		(err) =>
+		{
+			configStatus.text(`Failed to load configuration: ${err.message}`);
+			reportStatus('error', {'error': `failed to load configuration: ${err.message}`});
+		}
+	);
 });
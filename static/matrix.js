@@ -0,0 +1,113 @@
+'use strict';
+
+
+// Builds and renders the results of combined two-dimensional testing of data channels and media streams
+class MatrixReport
+{
+	// Returns the parameter name used for testing data channels at the specified media stream count
+	static parameterName(numMediaStreams) {
+		return `matrix[mediaStreams=${numMediaStreams}]`;
+	}
+	
+	// Parses a comma-separated list of media stream counts, returning them in ascending order or throwing an error if any are invalid
+	static parseCounts(text)
+	{
+		let counts = [];
+		for (let token of text.split(',').map((t) => t.trim()).filter((t) => t.length > 0))
+		{
+			if (/^\d+$/.test(token) === false || parseInt(token, 10) < 1) {
+				throw new Error(`invalid media stream count "${token}"`);
+			}
+			
+			let count = parseInt(token, 10);
+			if (counts.includes(count) === false) {
+				counts.push(count);
+			}
+		}
+		
+		if (counts.length === 0) {
+			throw new Error('no media stream counts were specified');
+		}
+		
+		return counts.sort((a, b) => a - b);
+	}
+	
+	// Builds the matrix from a list of result records, the tested media stream counts, the identified maxima for each of them and the
+	// repetition policy used by the search
+	// (The frontier is the maximum number of data channels supported at each media stream count, and a combination passes if the policy
+	// considers its value supported, so that the heatmap agrees with the frontier when values are repeated)
+	static build(records, counts, maxima, policy)
+	{
+		let mediaStreams = counts.slice();
+		let dataChannels = [];
+		let cells = [];
+		for (let m of mediaStreams)
+		{
+			for (let summary of policy.summarise(records, MatrixReport.parameterName(m)))
+			{
+				let d = summary['value'];
+				if (dataChannels.includes(d) === false) {
+					dataChannels.push(d);
+				}
+				
+				cells.push({'mediaStreams': m, 'dataChannels': d, 'passed': summary['supported'], 'runs': summary['runs'], 'passes': summary['passes']});
+			}
+		}
+		
+		dataChannels.sort((a, b) => a - b);
+		
+		let frontier = {};
+		for (let m of mediaStreams)
+		{
+			let max = maxima[MatrixReport.parameterName(m)];
+			frontier[m] = (max !== undefined) ? max : null;
+		}
+		
+		return {
+			'mediaStreams': mediaStreams,
+			'dataChannels': dataChannels,
+			'cells': cells,
+			'frontier': frontier
+		};
+	}
+	
+	// Renders the matrix as a heatmap table in the supplied container element, with a row for each media stream count and a column
+	// for each tested number of data channels, followed by the frontier value for each row
+	static render(container, matrix)
+	{
+		let table = $(document.createElement('table')).addClass('matrix-table');
+		
+		// Create the header row
+		let header = $(document.createElement('tr'));
+		header.append($(document.createElement('th')).text('Media streams \\ Data channels'));
+		for (let d of matrix['dataChannels']) {
+			header.append($(document.createElement('th')).text(d));
+		}
+		header.append($(document.createElement('th')).text('Max data channels'));
+		table.append(header);
+		
+		// Create a row for each media stream count
+		let lookup = new Map(matrix['cells'].map((cell) => [`${cell['mediaStreams']},${cell['dataChannels']}`, cell]));
+		for (let m of matrix['mediaStreams'])
+		{
+			let row = $(document.createElement('tr'));
+			row.append($(document.createElement('th')).text(m));
+			for (let d of matrix['dataChannels'])
+			{
+				let cell = lookup.get(`${m},${d}`);
+				let td = $(document.createElement('td'));
+				if (cell !== undefined)
+				{
+					td.addClass(cell['passed'] ? 'matrix-pass' : 'matrix-fail');
+					td.attr('title', `${m} media streams, ${d} data channels: ${cell['passed'] ? 'passed' : 'failed'} (${cell['passes']} of ${cell['runs']} runs passed)`);
+				}
+				row.append(td);
+			}
+			row.append($(document.createElement('td')).addClass('matrix-frontier').text((matrix['frontier'][m] !== null) ? matrix['frontier'][m] : ''));
+			table.append(row);
+		}
+		
+		container.empty();
+		container.append(table);
+	}
+}
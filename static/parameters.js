@@ -0,0 +1,245 @@
+'use strict';
+
+
+// Keeps track of the parameter modules that describe each dimension whose maximum the test suite can determine, so that new dimensions
+// (e.g. audio tracks or munged session descriptions) can be added by registering a module from a separate script instead of editing main.js
+// (A module is an object with the following fields, of which only `name`, `description` and one of `createRun` or `createIncremental` are required:
+//   `name` is the name of the parameter, which is also the prefix of the names of its variants, e.g. "dataChannels[unordered, in-band]"
+//   `description` is an object with the `singular` and `plural` human-readable descriptions of the items being counted
+//   `suiteMode` is the suite mode in which the parameter is tested ("isolation", "matrix" or "incremental"), defaulting to "isolation"
+//   `isEnabled(context)` returns false if the parameter cannot be tested with the current settings, e.g. in two-browser mode
+//   `variants(context)` returns a list of variants that are each tested as a separate parameter, where a variant is an object whose `name` is
+//     appended to the parameter name and descriptions (or null to use them unchanged), which may override the `parameter` name and `description`
+//     entirely, and which may hold any other values needed to create its test runs
+//   `createRun(context, value, variant)` returns a test run (a WebRtcLimitTestRun, or an object with the same getters such as a PeerConnectionPool)
+//     that tests the specified value in isolation
+//   `createIncremental(context, variant)` instead returns an IncrementalRenegotiationRun that adds items to a single connection in steps
+//   `defaultSequence` is the list of values tested by the fixed sequence strategy when no sequence is configured
+//   `frontier` is true if the maxima of the variants bound each other in order, as for the media stream counts of matrix mode
+//   `resultFields(test, value, variant)` returns any extra fields to include in the result record of each test run created by `createRun`,
+//     which must not reuse the names of the standard fields
+//   `hooks` is an object with any of the `beforeConnect`, `afterOpen`, `duringMedia` and `beforeTeardown` hooks of WebRtcLimitTestRun)
+// (The context passed to each module holds the `settings` of the test suite, the `videoLocal` and `videoRemote` container elements, the
+// `videoURLs` of the video file, the `runOptions` for each WebRtcLimitTestRun, and the `dataChannelConfigs`, `videoCodecs`, `encodingProfiles`
+// and `matrixCounts` parsed from the settings)
+class ParameterRegistry
+{
+	// Creates an empty registry
+	constructor() {
+		this._modules = [];
+	}
+	
+	// Registers a parameter module, throwing an error if it is invalid or its name is already registered
+	register(module)
+	{
+		if (typeof module['name'] !== 'string' || /^[A-Za-z0-9_]+$/.test(module['name']) === false) {
+			throw new Error(`parameter module names must be non-empty and contain only letters, digits and underscores: "${module['name']}"`);
+		}
+		if (module['description'] === undefined || module['description']['singular'] === undefined || module['description']['plural'] === undefined) {
+			throw new Error(`parameter module "${module['name']}" must have singular and plural descriptions`);
+		}
+		if (module['createRun'] === undefined && module['createIncremental'] === undefined) {
+			throw new Error(`parameter module "${module['name']}" must have either a createRun() or createIncremental() function`);
+		}
+		if (this._modules.some((m) => m['name'] === module['name'])) {
+			throw new Error(`parameter module "${module['name']}" is already registered`);
+		}
+		
+		this._modules.push(module);
+	}
+	
+	// Returns the registered parameter modules, in the order they were registered
+	getModules() {
+		return this._modules;
+	}
+	
+	// Builds the parameters tested in the specified suite mode, keyed by parameter name in the order their modules were registered
+	// (Each parameter has a `description`, an `isolation` or `incremental` function returning a test run for a value, its `defaultSequence`,
+	// `frontier` flag and `resultFields` function, and a `maximum` that is populated once the maximum supported value has been determined)
+	build(suiteMode, context)
+	{
+		let params = {};
+		for (let module of this._modules)
+		{
+			let moduleMode = (module['suiteMode'] !== undefined) ? module['suiteMode'] : 'isolation';
+			if (moduleMode !== suiteMode || (module['isEnabled'] !== undefined && module['isEnabled'](context) === false)) {
+				continue;
+			}
+			
+			// Pass the module's hooks to each of the test runs it creates
+			let moduleContext = context;
+			if (module['hooks'] !== undefined) {
+				moduleContext = Object.assign({}, context, {'runOptions': Object.assign({}, context['runOptions'], {'hooks': module['hooks']})});
+			}
+			
+			let variants = (module['variants'] !== undefined) ? module['variants'](moduleContext) : [{'name': null}];
+			for (let variant of variants)
+			{
+				let suffix = (variant['name'] !== null) ? ` (${variant['name']})` : '';
+				let name = (variant['parameter'] !== undefined) ? variant['parameter'] : ((variant['name'] !== null) ? `${module['name']}[${variant['name']}]` : module['name']);
+				params[name] = {
+					'description': (variant['description'] !== undefined) ? variant['description'] : {
+						'singular': `${module['description']['singular']}${suffix}`,
+						'plural': `${module['description']['plural']}${suffix}`
+					},
+					'defaultSequence': (module['defaultSequence'] !== undefined) ? module['defaultSequence'] : null,
+					'frontier': (module['frontier'] === true),
+					'resultFields': (module['resultFields'] !== undefined) ? (test, value) => module['resultFields'](test, value, variant) : null,
+					'maximum': 0
+				};
+				
+				if (module['createIncremental'] !== undefined) {
+					params[name]['incremental'] = () => module['createIncremental'](moduleContext, variant);
+				}
+				else {
+					params[name]['isolation'] = (value) => module['createRun'](moduleContext, value, variant);
+				}
+			}
+		}
+		
+		return params;
+	}
+}
+
+
+// The registry of parameter modules, to which scripts included after this one can add their own modules
+const parameterRegistry = new ParameterRegistry();
+
+// The number of data channels, tested separately with each data channel configuration and a single media stream
+// (A single configuration of reliable in-band channels retains the original parameter name so results remain comparable with earlier sessions)
+parameterRegistry.register({
+	'name': 'dataChannels',
+	'description': {'singular': 'data channel', 'plural': 'data channels'},
+	'variants': (context) => context['dataChannelConfigs'].map((config) => {
+		let isDefault = (context['dataChannelConfigs'].length === 1 && config['name'] === 'reliable, in-band');
+		return {'name': isDefault ? null : config['name'], 'settings': config['settings']};
+	}),
+	'createRun': (context, value, variant) => new WebRtcLimitTestRun(
+		context['videoLocal'],
+		context['videoRemote'],
+		context['videoURLs'],
+		1,
+		value,
+		Object.assign({}, context['runOptions'], {'dataChannel': variant['settings']})
+	)
+});
+
+// The number of media streams, tested with a single data channel and separately with each swept video codec and sender encoding profile
+// (This tells us whether the limit is about the number of streams or about the aggregate encoding load)
+parameterRegistry.register({
+	'name': 'mediaStreams',
+	'description': {'singular': 'media stream', 'plural': 'media streams'},
+	'variants': (context) =>
+	{
+		let profiles = (context['encodingProfiles'].length > 0) ? context['encodingProfiles'] : [null];
+		if (context['videoCodecs'][0] === null && profiles[0] === null) {
+			return [{'name': null, 'overrides': {}}];
+		}
+		
+		let variants = [];
+		for (let videoCodec of context['videoCodecs'])
+		{
+			for (let profile of profiles)
+			{
+				let overrides = {'encodingProfile': profile};
+				if (videoCodec !== null) {
+					overrides['videoCodec'] = videoCodec;
+				}
+				
+				let name = [
+					(videoCodec !== null) ? CodecPreferences.describe(videoCodec) : null,
+					(profile !== null) ? profile['name'] : null
+				].filter((part) => part !== null).join(', ');
+				variants.push({'name': name, 'overrides': overrides});
+			}
+		}
+		
+		return variants;
+	},
+	'createRun': (context, value, variant) => new WebRtcLimitTestRun(
+		context['videoLocal'],
+		context['videoRemote'],
+		context['videoURLs'],
+		value,
+		1,
+		Object.assign({}, context['runOptions'], variant['overrides'])
+	)
+});
+
+// The number of concurrent peer connections, which is only tested in loopback mode, since our answering peer handles one test run at a time
+// (Each pair uses the first data channel configuration and the configured number of data channels and media streams)
+parameterRegistry.register({
+	'name': 'peerConnections',
+	'description': {'singular': 'concurrent peer connection', 'plural': 'concurrent peer connections'},
+	'isEnabled': (context) => (context['settings']['peerMode'] === 'loopback'),
+	'createRun': (context, value) => new PeerConnectionPool(context['videoLocal'], context['videoRemote'], value, (_, barrier) => new WebRtcLimitTestRun(
+		context['videoLocal'],
+		context['videoRemote'],
+		context['videoURLs'],
+		context['settings']['peerConnections']['mediaStreams'],
+		context['settings']['peerConnections']['dataChannels'],
+		Object.assign({}, context['runOptions'], {'dataChannel': context['dataChannelConfigs'][0]['settings'], 'barrier': barrier, 'clearContainers': false})
+	))
+});
+
+// In matrix mode, the number of data channels supported at each media stream count
+// (These parameters use the first data channel configuration and lie on the feasible frontier)
+parameterRegistry.register({
+	'name': 'matrix',
+	'description': {'singular': 'data channel', 'plural': 'data channels'},
+	'suiteMode': 'matrix',
+	'frontier': true,
+	'variants': (context) => context['matrixCounts'].map((count) => {
+		return {
+			'name': `mediaStreams=${count}`,
+			'parameter': MatrixReport.parameterName(count),
+			'description': {
+				'singular': `data channel with ${count} media stream${(count > 1) ? 's' : ''}`,
+				'plural': `data channels with ${count} media stream${(count > 1) ? 's' : ''}`
+			},
+			'count': count
+		};
+	}),
+	'createRun': (context, value, variant) => new WebRtcLimitTestRun(
+		context['videoLocal'],
+		context['videoRemote'],
+		context['videoURLs'],
+		variant['count'],
+		value,
+		Object.assign({}, context['runOptions'], {'dataChannel': context['dataChannelConfigs'][0]['settings']})
+	)
+});
+
+// In incremental mode, the number of data channels and then media streams added to a single long-lived connection in steps
+// (These parameters use the first data channel configuration, and are tested in loopback mode only)
+parameterRegistry.register({
+	'name': 'incremental',
+	'description': {'singular': 'item added by renegotiation', 'plural': 'items added by renegotiation'},
+	'suiteMode': 'incremental',
+	'variants': () => [['dataChannels', 'data channel'], ['mediaStreams', 'media stream']].map(([kind, noun]) => {
+		return {
+			'name': kind,
+			'description': {
+				'singular': `${noun} added by renegotiation`,
+				'plural': `${noun}s added by renegotiation`
+			}
+		};
+	}),
+	'createIncremental': (context, variant) =>
+	{
+		let settings = context['settings'];
+		return new IncrementalRenegotiationRun(context['videoLocal'], context['videoRemote'], context['videoURLs'], variant['name'], {
+			'step': settings['incremental']['step'],
+			'churn': settings['incremental']['churn'],
+			'max': settings['max'],
+			'settleTime': settings['incremental']['settleTime'],
+			'minStreamFps': settings['incremental']['minStreamFps'],
+			'readyTimeout': settings['timeouts']['channelOpen'],
+			'negotiationTimeout': settings['timeouts']['negotiation'],
+			'synthetic': context['runOptions']['synthetic'],
+			'dataChannel': context['dataChannelConfigs'][0]['settings'],
+			'videoCodec': (context['runOptions']['videoCodec'] !== undefined) ? context['runOptions']['videoCodec'] : null,
+			'connection': context['runOptions']['connection']
+		});
+	}
+});
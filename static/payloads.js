@@ -0,0 +1,109 @@
+'use strict';
+
+
+// Provides functionality for generating and verifying the payloads transmitted over data channels
+class DataChannelPayloads
+{
+	// Parses a comma-separated list of payload sizes in bytes, where "max" refers to the SCTP max message size and can be followed by
+	// an offset (e.g. "16, 1024, max, max+1"), returning the list of size tokens or throwing an error if any of them are invalid
+	static parseSizes(text)
+	{
+		let tokens = text.split(',').map((token) => token.trim().replace(/\s+/g, '')).filter((token) => token.length > 0);
+		for (let token of tokens)
+		{
+			if (/^(\d+|max([+-]\d+)?)$/.test(token) === false) {
+				throw new Error(`invalid payload size "${token}"`);
+			}
+		}
+		
+		return tokens;
+	}
+	
+	// Resolves a list of payload size tokens to a list of unique sizes in bytes, given the SCTP max message size
+	static resolveSizes(tokens, maxMessageSize)
+	{
+		let sizes = [];
+		for (let token of tokens)
+		{
+			let matches = /^max([+-]\d+)?$/.exec(token);
+			let size = (matches !== null) ? maxMessageSize + ((matches[1] !== undefined) ? parseInt(matches[1], 10) : 0) : parseInt(token, 10);
+			if (size > 0 && sizes.includes(size) === false) {
+				sizes.push(size);
+			}
+		}
+		
+		return sizes;
+	}
+	
+	// Creates a payload of the specified size for the specified channel, with content that is unique to the channel and size
+	static create(channelIndex, size, binary)
+	{
+		if (binary === true)
+		{
+			let bytes = new Uint8Array(size);
+			for (let i = 0; i < size; ++i) {
+				bytes[i] = (channelIndex * 31 + size * 17 + i * 7) & 0xff;
+			}
+			
+			return bytes.buffer;
+		}
+		else
+		{
+			// Text payloads only use ASCII characters so that their length in characters matches their size in bytes
+			let header = `${channelIndex}:${size}:`;
+			let alphabet = 'abcdefghijklmnopqrstuvwxyz0123456789';
+			let chars = [];
+			for (let i = header.length; i < size; ++i) {
+				chars.push(alphabet[(channelIndex + i) % alphabet.length]);
+			}
+			
+			return (header + chars.join('')).substring(0, size);
+		}
+	}
+	
+	// Returns the size in bytes of a payload
+	static sizeOf(payload) {
+		return (typeof payload === 'string') ? payload.length : payload.byteLength;
+	}
+	
+	// Returns a short description of a payload for use in debug output
+	static describe(payload) {
+		return (typeof payload === 'string' && payload.length <= 64) ? payload : `<${DataChannelPayloads.sizeOf(payload)} bytes>`;
+	}
+	
+	// Returns the index of the expected payload that matches the received payload exactly, or -1 if there is no match
+	static findMatch(expected, received)
+	{
+		for (let index = 0; index < expected.length; ++index)
+		{
+			if (DataChannelPayloads._equal(expected[index], received)) {
+				return index;
+			}
+		}
+		
+		return -1;
+	}
+	
+	// Determines whether two payloads are identical
+	static _equal(a, b)
+	{
+		if (typeof a === 'string' || typeof b === 'string') {
+			return a === b;
+		}
+		
+		if (a.byteLength !== b.byteLength) {
+			return false;
+		}
+		
+		let bytesA = new Uint8Array(a);
+		let bytesB = new Uint8Array(b);
+		for (let i = 0; i < bytesA.length; ++i)
+		{
+			if (bytesA[i] !== bytesB[i]) {
+				return false;
+			}
+		}
+		
+		return true;
+	}
+}
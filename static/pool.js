@@ -0,0 +1,194 @@
+'use strict';
+
+
+// Runs a number of WebRtcLimitTestRun instances concurrently, each with its own loopback peer connection pair, to test how many
+// peer connections a page can hold at once (as required by mesh-topology applications)
+// (Every pair keeps its connection open until all of the pairs have connected and verified their data channel messages, so that
+// the connections genuinely coexist, unless any pair fails, in which case the remaining pairs are released immediately)
+class PeerConnectionPool
+{
+	// Configures the pool to create the specified number of test runs using the supplied factory function
+	// (The factory receives the index of the pair and the barrier function that each test run must wait on before disconnecting, and
+	// its test runs must not empty the container elements, since every pair places its generated elements in the same containers)
+	constructor(containerElemLocal, containerElemRemote, numPairs, createRun)
+	{
+		this._containerLocal = $(containerElemLocal);
+		this._containerRemote = $(containerElemRemote);
+		this._numPairs = numPairs;
+		this._arrived = 0;
+		this._waiting = [];
+		this._released = false;
+		this._errors = [];
+		this._runs = [];
+		for (let index = 0; index < numPairs; ++index) {
+			this._runs.push(createRun(index, () => this._arrive()));
+		}
+	}
+	
+	// Returns the number of concurrent peer connection pairs that the test run attempts to create
+	getNumPeerConnections() {
+		return this._numPairs;
+	}
+	
+	// Returns the duration (in seconds) of the longest media that was used by any of the pairs
+	getMediaDuration() {
+		return Math.max(0, ...this._runs.map((run) => run.getMediaDuration()));
+	}
+	
+	// Returns the number of media streams that each pair attempts to transmit
+	getNumMediaStreams() {
+		return (this._runs.length > 0) ? this._runs[0].getNumMediaStreams() : 0;
+	}
+	
+	// Returns the number of data channels that each pair attempts to create
+	getNumDataChannels() {
+		return (this._runs.length > 0) ? this._runs[0].getNumDataChannels() : 0;
+	}
+	
+	// Returns null, since the stats for hundreds of connections would dwarf the rest of the results (see getPeerConnectionSummary() instead)
+	getStatsSummary() {
+		return null;
+	}
+	
+	// Returns null, since remote frame verification is summarised per pair rather than for the pool
+	getFrameSummary() {
+		return null;
+	}
+	
+	// Returns null, since encoded frame verification is summarised per pair rather than for the pool
+	getIntegritySummary() {
+		return null;
+	}
+	
+	// Returns the reliability, negotiation and payload settings used for the data channels of each pair
+	getDataChannelSettings() {
+		return (this._runs.length > 0) ? this._runs[0].getDataChannelSettings() : null;
+	}
+	
+	// Returns the total number of payloads sent, rejected and verified across all of the pairs
+	getPayloadSummary()
+	{
+		let summaries = this._runs.map((run) => run.getPayloadSummary()).filter((summary) => summary !== null);
+		if (summaries.length === 0) {
+			return null;
+		}
+		
+		let total = Object.assign({}, summaries[0]);
+		for (let field of ['sent', 'rejected', 'verified', 'errors']) {
+			total[field] = summaries.reduce((sum, summary) => sum + summary[field], 0);
+		}
+		
+		return total;
+	}
+	
+	// Returns the codec summary for the first pair, since every pair uses the same codec settings
+	getCodecSummary() {
+		return (this._runs.length > 0) ? this._runs[0].getCodecSummary() : null;
+	}
+	
+	// Returns the encoding summary for the first pair, since every pair uses the same encoding profile
+	getEncodingSummary() {
+		return (this._runs.length > 0) ? this._runs[0].getEncodingSummary() : null;
+	}
+	
+	// Returns the duration of each phase for the slowest pair, along with the sizes of the offer and answer for the first pair
+	// (Start and end timestamps are omitted, since each pair measures them relative to its own start time)
+	getTimingSummary()
+	{
+		let summaries = this._runs.map((run) => run.getTimingSummary());
+		let phases = {};
+		for (let phase of PhaseTimer.phases())
+		{
+			let durations = summaries.map((summary) => summary['phases'][phase]['duration']).filter((duration) => duration !== null);
+			phases[phase] = {
+				'start': null,
+				'end': null,
+				'duration': (durations.length > 0) ? Math.max(...durations) : null
+			};
+		}
+		
+		return {
+			'phases': phases,
+			'offer': (summaries.length > 0) ? summaries[0]['offer'] : null,
+			'answer': (summaries.length > 0) ? summaries[0]['answer'] : null
+		};
+	}
+	
+	// Returns "loopback", since both ends of every pair live in this page
+	getRole() {
+		return 'loopback';
+	}
+	
+	// Returns null, since there is no answering peer in another browser
+	getRemoteSummary() {
+		return null;
+	}
+	
+	// Returns the number of pairs that connected and verified their messages, the number that failed, and the first few distinct errors
+	getPeerConnectionSummary()
+	{
+		return {
+			'pairs': this._numPairs,
+			'connected': this._arrived,
+			'failed': this._errors.length,
+			'errors': Array.from(new Set(this._errors.map((err) => `${err}`))).slice(0, 5)
+		};
+	}
+	
+	// Runs every pair concurrently, throwing an error if any of them failed
+	async run()
+	{
+		// Destroy any output <video> and <canvas> elements generated during previous test runs
+		this._containerLocal.empty();
+		this._containerRemote.empty();
+		
+		this._errors = await Promise.all(this._runs.map((run) => run.run().then(
+			() => null,
+			(err) =>
+			{
+				// Release the pairs that are waiting, since the failed pair will never arrive at the barrier
+				this._release();
+				return err;
+			}
+		)));
+		this._errors = this._errors.filter((err) => err !== null);
+		
+		// Classify the failure of the pool by the first pair that failed
+		if (this._errors.length > 0)
+		{
+			let first = this._errors[0];
+			let message = `${this._errors.length} of ${this._numPairs} peer connection pair(s) failed, first error: ${first}`;
+			throw (first instanceof TestFailure) ? new TestFailure(first.category, first.phase, message, first.progress) : new Error(message);
+		}
+	}
+	
+	// Waits until every pair has arrived at the barrier, or until the barrier is released by a failure
+	_arrive()
+	{
+		this._arrived += 1;
+		if (this._arrived >= this._numPairs) {
+			this._release();
+		}
+		
+		return new Promise((resolve, _) =>
+		{
+			if (this._released === true) {
+				resolve();
+			}
+			else {
+				this._waiting.push(resolve);
+			}
+		});
+	}
+	
+	// Releases every pair that is waiting at the barrier, along with any that arrive later
+	_release()
+	{
+		this._released = true;
+		for (let resolve of this._waiting) {
+			resolve();
+		}
+		
+		this._waiting = [];
+	}
+}
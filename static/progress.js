@@ -0,0 +1,228 @@
+'use strict';
+
+
+// Persists the progress of the test suite after every step so that it can be resumed if the browser crashes or freezes
+// (The search state is small and is stored before and after every test run, whereas the result records are stored separately after each
+// test run with only the fields needed to resume the search and render the final reports, since the full records can run to megabytes)
+class SuiteProgress
+{
+	// The localStorage key under which the search state is stored
+	static storageKey() {
+		return 'webrtc-limits-progress';
+	}
+	
+	// The localStorage key under which the minimal result records and summary values are stored
+	static resultsKey() {
+		return 'webrtc-limits-progress-results';
+	}
+	
+	// The fields of each result record that are stored with the progress
+	static recordFields() {
+		return ['parameter', 'value', 'repetition', 'passed', 'failureReason', 'duration', 'mediaStreams', 'dataChannels', 'timing'];
+	}
+	
+	// Loads any progress stored by a previous page load, returning null if there is none
+	// (The supplied function is called with a description of any failure to store the progress, e.g. when localStorage is full)
+	static load(onStorageError)
+	{
+		try
+		{
+			let stored = window.localStorage.getItem(SuiteProgress.storageKey());
+			if (stored === null) {
+				return null;
+			}
+			
+			// The progress can still be resumed if its results were lost, in which case only the records from later test runs are reported
+			let storedResults = window.localStorage.getItem(SuiteProgress.resultsKey());
+			let results = (storedResults !== null) ? JSON.parse(storedResults) : {'records': [], 'summary': {}};
+			return new SuiteProgress(JSON.parse(stored), results, onStorageError);
+		}
+		catch (err)
+		{
+			console.log('[Suite Progress] Failed to load stored progress: ', err);
+			return null;
+		}
+	}
+	
+	// Creates progress for a new test suite run with the specified session ID and settings
+	static create(sessionID, settings, onStorageError)
+	{
+		let progress = new SuiteProgress({
+			'session': sessionID,
+			'settings': settings,
+			'parameters': {},
+			'current': null
+		}, {'records': [], 'summary': {}}, onStorageError);
+		
+		progress._storeResults();
+		return progress;
+	}
+	
+	// Wraps the supplied search state and results
+	constructor(state, results, onStorageError)
+	{
+		this._state = state;
+		this._results = results;
+		this._onStorageError = (onStorageError !== undefined) ? onStorageError : () => {};
+		
+		// The localStorage keys for which the last attempt to store the progress failed, so that repeated failures are only reported once
+		this._storageFailures = new Set();
+	}
+	
+	// Returns the session ID that the progress belongs to
+	getSession() {
+		return this._state['session'];
+	}
+	
+	// Sets the session ID that the progress belongs to, if it was not yet available when the test suite was started
+	setSession(sessionID)
+	{
+		this._state['session'] = sessionID;
+		this.save();
+	}
+	
+	// Returns the settings that the test suite was started with
+	getSettings() {
+		return this._state['settings'];
+	}
+	
+	// Returns the parameter and value that were being tested when the progress was last saved, or null if no test was in progress
+	getCurrent() {
+		return this._state['current'];
+	}
+	
+	// Returns the result records and summary values that were stored with the progress
+	// (Only the fields listed by recordFields() are stored for each record)
+	getResults() {
+		return this._results;
+	}
+	
+	// Returns the progress for the specified parameter
+	getParameter(param)
+	{
+		if (this._state['parameters'][param] === undefined)
+		{
+			this._state['parameters'][param] = {
+				'history': [],
+				'lastPass': null,
+				'failed': [],
+				'complete': false,
+				'maximum': 0
+			};
+		}
+		
+		return this._state['parameters'][param];
+	}
+	
+	// Replays the recorded history for the specified parameter into a freshly-created search strategy so it resumes from where it stopped
+	restoreSearch(param, search)
+	{
+		for (let entry of this.getParameter(param)['history'])
+		{
+			search.nextValue();
+			search.recordResult(entry['value'], entry['passed']);
+		}
+		
+		return search;
+	}
+	
+	// Records that testing of the specified value has begun
+	begin(param, value)
+	{
+		this._state['current'] = {'parameter': param, 'value': value};
+		this.save();
+	}
+	
+	// Records the outcome of testing the specified value, along with the reason for any failure
+	complete(param, value, passed, reason, results)
+	{
+		let details = this.getParameter(param);
+		details['history'].push({'value': value, 'passed': passed, 'reason': reason});
+		if (passed === true) {
+			details['lastPass'] = value;
+		}
+		else if (details['failed'].includes(value) === false) {
+			details['failed'].push(value);
+		}
+		
+		this._state['current'] = null;
+		this.save();
+		this._storeResults(results);
+	}
+	
+	// Records that the search for the specified parameter has finished with the specified maximum
+	finishParameter(param, maximum, results)
+	{
+		let details = this.getParameter(param);
+		details['complete'] = true;
+		details['maximum'] = maximum;
+		this.save();
+		this._storeResults(results);
+	}
+	
+	// Persists the search state to localStorage and mirrors it to the server if we have a session ID
+	// (The result records are not included, since these are already submitted to the server separately)
+	save()
+	{
+		this._store(SuiteProgress.storageKey(), this._state, 'the test suite progress');
+		if (this._state['session'] !== null)
+		{
+			$.ajax({
+				type: 'POST',
+				url: '/progress',
+				contentType: 'application/json; charset=utf-8',
+				data: JSON.stringify({
+					'session': this._state['session'],
+					'progress': this._state
+				})
+			});
+		}
+	}
+	
+	// Removes the stored progress once the test suite has completed or the user has discarded it
+	clear()
+	{
+		try
+		{
+			window.localStorage.removeItem(SuiteProgress.storageKey());
+			window.localStorage.removeItem(SuiteProgress.resultsKey());
+		}
+		catch (err) {
+			console.log('[Suite Progress] Failed to clear stored progress: ', err);
+		}
+	}
+	
+	// Stores the minimal fields of the result records along with the summary values so they can be restored along with the progress
+	_storeResults(results)
+	{
+		if (results !== undefined)
+		{
+			let fields = SuiteProgress.recordFields();
+			this._results = {
+				'records': results.getRecords().map((record) => Object.fromEntries(fields.filter((field) => field in record).map((field) => [field, record[field]]))),
+				'summary': results.getSummary()
+			};
+		}
+		
+		this._store(SuiteProgress.resultsKey(), this._results, 'the results of earlier test runs');
+	}
+	
+	// Stores the supplied value in localStorage under the specified key, reporting the first of any consecutive failures (e.g. exceeding
+	// the storage quota) so the user knows that an interrupted test suite may not be resumable
+	_store(key, value, description)
+	{
+		try
+		{
+			window.localStorage.setItem(key, JSON.stringify(value));
+			this._storageFailures.delete(key);
+		}
+		catch (err)
+		{
+			console.log('[Suite Progress] Failed to store progress: ', err);
+			if (this._storageFailures.has(key) === false) {
+				this._onStorageError(`Failed to store ${description} in localStorage, so the test suite may not be resumable if it is interrupted: ${err}`);
+			}
+			this._storageFailures.add(key);
+		}
+	}
+}
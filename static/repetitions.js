@@ -0,0 +1,107 @@
+'use strict';
+
+
+// Decides whether a tested value is supported from the outcomes of repeated test runs, and summarises the pass rate and durations of each value
+// (A value is supported if at least `minPassRate` of its `repetitions` pass, so a single flaky failure does not hide a value that usually works)
+class RepetitionPolicy
+{
+	// Configures the policy with the number of repetitions of each value and the minimum fraction of them that must pass
+	constructor(repetitions, minPassRate)
+	{
+		this._repetitions = Math.max(1, repetitions);
+		this._minPassRate = Math.min(Math.max(minPassRate, 0), 1);
+	}
+	
+	// Returns the number of repetitions of each value
+	getRepetitions() {
+		return this._repetitions;
+	}
+	
+	// Returns a human-readable description of the policy
+	describe() {
+		return `${this._repetitions} repetition(s) of each value, with at least ${(this._minPassRate * 100).toFixed(0)}% required to pass`;
+	}
+	
+	// Returns the number of repetitions that must pass for a value to be supported
+	// (The small tolerance prevents floating-point error from requiring an extra pass, e.g. for 0.9 * 10)
+	requiredPasses() {
+		return Math.max(1, Math.ceil(this._minPassRate * this._repetitions - 1e-9));
+	}
+	
+	// Determines whether the outcome for a value is already known after the specified number of runs and passes
+	// (Once the required pass rate is unreachable there is no point in testing the value any further)
+	isDecided(runs, passes) {
+		return (runs >= this._repetitions || passes + (this._repetitions - runs) < this.requiredPasses());
+	}
+	
+	// Determines whether a value with the specified number of passes is supported
+	isSupported(passes) {
+		return (passes >= this.requiredPasses());
+	}
+	
+	// Summarises the outcome of every value tested for the specified parameter, in ascending order of value
+	// (Results recorded for a crash count as failed runs without a duration, and a value is reported as supported if its overall pass rate
+	// meets the policy, which also accounts for values that were tested more than once by the search strategy)
+	summarise(records, parameter)
+	{
+		let values = new Map();
+		for (let record of records.filter((r) => r['parameter'] === parameter && r['value'] !== null))
+		{
+			if (values.has(record['value']) === false) {
+				values.set(record['value'], []);
+			}
+			
+			values.get(record['value']).push(record);
+		}
+		
+		return Array.from(values.entries()).sort((a, b) => a[0] - b[0]).map(([value, runs]) =>
+		{
+			let passes = runs.filter((r) => r['passed'] === true).length;
+			let durations = runs.map((r) => r['duration']).filter((d) => d !== null && d !== undefined);
+			return {
+				'value': value,
+				'runs': runs.length,
+				'passes': passes,
+				'passRate': passes / runs.length,
+				'passRateLowerBound': RepetitionPolicy.wilsonLowerBound(passes, runs.length),
+				'supported': (passes > 0 && passes / runs.length >= this._minPassRate - 1e-9),
+				'duration': RepetitionPolicy._describe(durations)
+			};
+		});
+	}
+	
+	// Returns the lower bound of the 95% Wilson score interval for a pass rate, which is the pass rate we can be confident the value
+	// achieves given the number of runs (unlike the raw pass rate, this is close to zero when only a handful of runs were performed)
+	static wilsonLowerBound(passes, runs)
+	{
+		if (runs === 0) {
+			return null;
+		}
+		
+		const z = 1.96;
+		let p = passes / runs;
+		let centre = p + (z * z) / (2 * runs);
+		let margin = z * Math.sqrt((p * (1 - p) + (z * z) / (4 * runs)) / runs);
+		return Math.max(0, (centre - margin) / (1 + (z * z) / runs));
+	}
+	
+	// Returns a human-readable description of the summary for a single value
+	static describeValue(summary)
+	{
+		let lower = (summary['passRateLowerBound'] !== null) ? ` (95% confidence of at least ${(summary['passRateLowerBound'] * 100).toFixed(1)}%)` : '';
+		let duration = (summary['duration']['mean'] !== null) ?
+			`, mean duration ${summary['duration']['mean'].toFixed(2)} seconds` + ((summary['duration']['stddev'] !== null) ? ` (standard deviation ${summary['duration']['stddev'].toFixed(2)})` : '') :
+			'';
+		return `passed ${summary['passes']} of ${summary['runs']} run(s), a pass rate of ${(summary['passRate'] * 100).toFixed(1)}%${lower}${duration}`;
+	}
+	
+	// Computes the mean and sample standard deviation of a list of samples
+	static _describe(samples)
+	{
+		let mean = (samples.length > 0) ? samples.reduce((a, b) => a + b, 0) / samples.length : null;
+		return {
+			'mean': mean,
+			'stddev': (samples.length > 1) ? Math.sqrt(samples.reduce((sum, s) => sum + (s - mean) * (s - mean), 0) / (samples.length - 1)) : null
+		};
+	}
+}
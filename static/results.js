@@ -0,0 +1,189 @@
+'use strict';
+
+
+// Accumulates structured result records for each test run, submits them to the server and exports them for download
+class TestResults
+{
+	// Creates an empty set of results
+	constructor()
+	{
+		this._records = [];
+		this._summary = {};
+		this._sessionID = null;
+		
+		// Records and summary values that have not yet been submitted to the server
+		this._pendingRecords = [];
+		this._pendingSummary = {};
+		
+		// Submissions to the server that have not yet completed
+		this._submissions = new Set();
+	}
+	
+	// Sets the session ID used when submitting results to the server and submits any results that were recorded prior to it being available
+	setSession(sessionID)
+	{
+		this._sessionID = sessionID;
+		this._submit();
+	}
+	
+	// Restores previously-recorded results (e.g. when resuming an interrupted test suite) without resubmitting them to the server
+	restore(records, summary)
+	{
+		this._records = records.slice();
+		this._summary = Object.assign({}, summary);
+	}
+	
+	// Returns the list of result records
+	getRecords() {
+		return this._records;
+	}
+	
+	// Returns the summary values
+	getSummary() {
+		return this._summary;
+	}
+	
+	// Adds a result record and submits it to the server
+	addRecord(record)
+	{
+		this._records.push(record);
+		this._pendingRecords.push(record);
+		this._submit();
+	}
+	
+	// Merges the supplied values into the summary and submits them to the server
+	updateSummary(values)
+	{
+		Object.assign(this._summary, values);
+		Object.assign(this._pendingSummary, values);
+		this._submit();
+	}
+	
+	// Waits for every submission to the server to complete and then retries any that failed to reach it, so that the server's copy of
+	// the results is up to date (anything that still fails remains queued, and the downloadable results remain available regardless)
+	async flush()
+	{
+		await Promise.allSettled(Array.from(this._submissions));
+		this._submit();
+		await Promise.allSettled(Array.from(this._submissions));
+	}
+	
+	// Serialises the results to a JSON string
+	toJSON()
+	{
+		return JSON.stringify({
+			'session': this._sessionID,
+			'userAgent': navigator.userAgent,
+			'results': this._records,
+			'summary': this._summary
+		}, null, 2);
+	}
+	
+	// Serialises the result records to a CSV string, flattening nested objects into dot-separated column names
+	toCSV()
+	{
+		// Flatten each of our records and determine the full set of columns in order of first appearance
+		let rows = this._records.map((record) => TestResults._flatten(record, ''));
+		let columns = [];
+		for (let row of rows)
+		{
+			for (let key of Object.keys(row))
+			{
+				if (columns.includes(key) === false) {
+					columns.push(key);
+				}
+			}
+		}
+		
+		// Generate the header row followed by a row for each record
+		let lines = [columns.map(TestResults._escapeCSV).join(',')];
+		for (let row of rows) {
+			lines.push(columns.map((column) => TestResults._escapeCSV(row[column])).join(','));
+		}
+		
+		return lines.join('\r\n') + '\r\n';
+	}
+	
+	// Triggers a browser download of the results in the specified format ("json" or "csv")
+	download(format)
+	{
+		let contents = (format === 'csv') ? this.toCSV() : this.toJSON();
+		let mimeType = (format === 'csv') ? 'text/csv' : 'application/json';
+		let filename = `webrtc-limits-${(this._sessionID !== null) ? this._sessionID : 'results'}.${format}`;
+		
+		let url = URL.createObjectURL(new Blob([contents], {type: mimeType}));
+		let link = $(document.createElement('a')).attr('href', url).attr('download', filename);
+		$(document.body).append(link);
+		link[0].click();
+		link.remove();
+		URL.revokeObjectURL(url);
+	}
+	
+	// Submits any pending records and summary values to the server if we have a session ID
+	// (A submission that fails to reach the server is requeued and retried with the next submission, whereas a submission that the server
+	// rejects is discarded, since it would never be accepted, in the same way as LogTransport handles log entries)
+	_submit()
+	{
+		if (this._sessionID === null || (this._pendingRecords.length === 0 && Object.keys(this._pendingSummary).length === 0)) {
+			return;
+		}
+		
+		let records = this._pendingRecords;
+		let summary = this._pendingSummary;
+		this._pendingRecords = [];
+		this._pendingSummary = {};
+		
+		let submission = Promise.resolve($.ajax({
+			type: 'POST',
+			url: '/results',
+			contentType: 'application/json; charset=utf-8',
+			data: JSON.stringify({
+				'session': this._sessionID,
+				'results': records,
+				'summary': summary
+			})
+		}));
+		this._submissions.add(submission);
+		submission.catch((err) =>
+		{
+			if (err.status === 0 || err.status >= 500)
+			{
+				this._pendingRecords = records.concat(this._pendingRecords);
+				this._pendingSummary = Object.assign({}, summary, this._pendingSummary);
+			}
+			else {
+				console.log(`[Test Results] The server rejected ${records.length} result records (status ${err.status})`);
+			}
+		}).finally(() => { this._submissions.delete(submission); });
+	}
+	
+	// Flattens a nested object into a single-level object with dot-separated keys
+	static _flatten(value, prefix)
+	{
+		let flattened = {};
+		for (let key of Object.keys(value))
+		{
+			let name = `${prefix}${key}`;
+			let child = value[key];
+			if (child !== null && typeof child === 'object' && Array.isArray(child) === false) {
+				Object.assign(flattened, TestResults._flatten(child, `${name}.`));
+			}
+			else {
+				flattened[name] = Array.isArray(child) ? JSON.stringify(child) : child;
+			}
+		}
+		
+		return flattened;
+	}
+	
+	// Escapes a value for inclusion in a CSV file
+	static _escapeCSV(value)
+	{
+		if (value === undefined || value === null) {
+			return '';
+		}
+		
+		let text = String(value);
+		return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+	}
+}
@@ -0,0 +1,206 @@
+'use strict';
+
+
+// Search strategy that tests a fixed sequence of values in order and stops after a number of consecutive failures (by default, the first failure)
+class FixedSequenceSearch
+{
+	// The default sequence of values, following powers of two paired with -1 and +1 offsets to test boundary conditions
+	static defaultSequence()
+	{
+		return [
+			1,
+			2,
+			3, 4, 5,
+			7, 8, 9,
+			15, 16, 17,
+			31, 32, 33,
+			47, 48, 49, 50, 51, 52, 53, 54,  // 64 concurrent WebRTC media streams is one of the common observed breaking points,
+			55, 56, 57, 58, 59, 60, 61, 62,  // so these are here to help refine the identified limit to a more accurate value
+			63, 64, 65,
+			95, 96, 97,                      //
+			111, 112, 113,                   // 128 concurrent WebRTC media streams is another common observed breaking point,
+			119, 120, 121,                   // so these are here to help refine the identified limit to a more accurate value
+			122, 123, 124, 125, 126,         //
+			127, 128, 129,
+			255, 256, 257,
+			511, 512, 513,
+			1023, 1024, 1025,
+			2047, 2048, 2049,
+			4095, 4096, 4097,
+			8191, 8192, 8193,
+			16383, 16384, 16385,
+			32767, 32768, 32769,
+			65535 // Note that 65535 is the theoretical maximum limit for WebRTC data channels, since 65536 is a reserved ID that cannot be used
+		];
+	}
+	
+	// Configures the search with the specified sequence of values, discarding any values that fall outside the specified bounds
+	// (Continuing past isolated failures up to the specified number of consecutive failures allows a flaky value to be skipped over)
+	constructor(sequence, min, max, maxConsecutiveFailures)
+	{
+		this._sequence = sequence.filter((v) => v >= min && v <= max);
+		this._maxConsecutiveFailures = (maxConsecutiveFailures !== undefined) ? Math.max(1, maxConsecutiveFailures) : 1;
+		this._consecutiveFailures = 0;
+		this._position = 0;
+		this._maximum = 0;
+		this._finished = false;
+	}
+	
+	// Returns a human-readable description of the search strategy
+	describe()
+	{
+		let cutoff = (this._maxConsecutiveFailures > 1) ? `, stopping after ${this._maxConsecutiveFailures} consecutive failures` : '';
+		return `fixed sequence of ${this._sequence.length} values${cutoff}`;
+	}
+	
+	// Returns the next value to test, or null if the search is complete
+	nextValue()
+	{
+		if (this._finished === true || this._position >= this._sequence.length) {
+			return null;
+		}
+		
+		return this._sequence[this._position];
+	}
+	
+	// Records the outcome of testing the value most recently returned by nextValue()
+	recordResult(value, passed)
+	{
+		this._position += 1;
+		if (passed === true)
+		{
+			this._maximum = Math.max(this._maximum, value);
+			this._consecutiveFailures = 0;
+		}
+		else
+		{
+			this._consecutiveFailures += 1;
+			this._finished = (this._consecutiveFailures >= this._maxConsecutiveFailures);
+		}
+	}
+	
+	// Returns the maximum value that passed (or 0 if no values passed)
+	getMaximum() {
+		return this._maximum;
+	}
+}
+
+
+// Search strategy that doubles the tested value until a failure is encountered and then bisects between the last pass and the first failure,
+// optionally retesting the identified boundary value a number of times to confirm that it is reliable
+// (Unlike the fixed sequence, this does not stop after a number of consecutive failures, since it bisects after the first failure anyway,
+// and the lower bound must be at least 1 for the doubling to make progress)
+class AdaptiveSearch
+{
+	// Configures the search with the specified bounds and number of boundary confirmations
+	constructor(min, max, confirmations)
+	{
+		this._min = min;
+		this._max = max;
+		this._confirmations = confirmations;
+		
+		// The values that have passed so far (used to fall back to a lower value if a confirmation fails)
+		this._passed = [];
+		
+		// The search begins with exponential probing from the lower bound
+		// (A `lastPass` value below the lower bound indicates that no values have passed yet)
+		this._phase = 'probe';
+		this._probe = min;
+		this._lastPass = min - 1;
+		this._firstFail = null;
+		this._confirmationsRemaining = confirmations;
+	}
+	
+	// Returns a human-readable description of the search strategy
+	describe() {
+		return `adaptive search between ${this._min} and ${this._max} with ${this._confirmations} boundary confirmation(s)`;
+	}
+	
+	// Returns the next value to test, or null if the search is complete
+	nextValue()
+	{
+		// Once bisection has narrowed the interval down to adjacent values, move on to confirming the boundary
+		if (this._phase === 'bisect' && this._firstFail - this._lastPass <= 1) {
+			this._phase = 'confirm';
+		}
+		
+		// There is nothing to confirm if no values passed
+		if (this._phase === 'confirm' && (this._lastPass < this._min || this._confirmationsRemaining <= 0)) {
+			this._phase = 'done';
+		}
+		
+		switch (this._phase)
+		{
+			case 'probe':
+				return this._probe;
+			
+			case 'bisect':
+				return Math.floor((this._lastPass + this._firstFail) / 2);
+			
+			case 'confirm':
+				return this._lastPass;
+			
+			default:
+				return null;
+		}
+	}
+	
+	// Records the outcome of testing the value most recently returned by nextValue()
+	recordResult(value, passed)
+	{
+		if (this._phase === 'probe')
+		{
+			if (passed === true)
+			{
+				this._markPassed(value);
+				if (value >= this._max) {
+					this._phase = 'confirm';
+				}
+				else {
+					this._probe = Math.min(value * 2, this._max);
+				}
+			}
+			else
+			{
+				this._firstFail = value;
+				this._phase = 'bisect';
+			}
+		}
+		else if (this._phase === 'bisect')
+		{
+			if (passed === true) {
+				this._markPassed(value);
+			}
+			else {
+				this._firstFail = value;
+			}
+		}
+		else if (this._phase === 'confirm')
+		{
+			if (passed === true) {
+				this._confirmationsRemaining -= 1;
+			}
+			else
+			{
+				// The boundary value is unreliable, so treat it as a failure and resume bisection below it
+				this._firstFail = value;
+				this._passed = this._passed.filter((v) => v < value);
+				this._lastPass = (this._passed.length > 0) ? Math.max(...this._passed) : this._min - 1;
+				this._confirmationsRemaining = this._confirmations;
+				this._phase = 'bisect';
+			}
+		}
+	}
+	
+	// Returns the maximum value that passed (or 0 if no values passed)
+	getMaximum() {
+		return (this._lastPass >= this._min) ? this._lastPass : 0;
+	}
+	
+	// Records a passing value
+	_markPassed(value)
+	{
+		this._passed.push(value);
+		this._lastPass = Math.max(this._lastPass, value);
+	}
+}
@@ -0,0 +1,192 @@
+'use strict';
+
+
+// Exchanges signaling messages with a peer in another browser tab or browser through a long-poll signaling room on the webserver
+// (Every message has a type of "run", "description", "candidate" or "done", the ID of the test run it belongs to, and arbitrary data)
+class SignalingChannel
+{
+	// Configures the channel to join the specified room with the specified role ("offerer" or "answerer")
+	constructor(room, role)
+	{
+		this._room = room;
+		this._role = role;
+		this._polling = false;
+		
+		// Messages that have been received but not yet consumed, and the receivers waiting for messages that have not arrived yet
+		this._inbox = [];
+		this._receivers = [];
+	}
+	
+	// Returns the name of the signaling room
+	getRoom() {
+		return this._room;
+	}
+	
+	// Returns our role in the signaling room
+	getRole() {
+		return this._role;
+	}
+	
+	// Starts polling the webserver for messages from our peer
+	start()
+	{
+		if (this._polling === false)
+		{
+			this._polling = true;
+			this._poll();
+		}
+	}
+	
+	// Stops polling the webserver for messages
+	stop() {
+		this._polling = false;
+	}
+	
+	// Sends a message to our peer
+	send(type, run, data)
+	{
+		return $.ajax({
+			type: 'POST',
+			url: `/signal/${encodeURIComponent(this._room)}/${this._role}`,
+			contentType: 'application/json; charset=utf-8',
+			data: JSON.stringify({
+				'type': type,
+				'run': run,
+				'data': data
+			})
+		});
+	}
+	
+	// Returns a Promise that will be resolved with the first message of the specified type for the specified test run
+	// (A run of null matches messages for any test run, and the Promise is rejected if the timeout in milliseconds elapses first or
+	// if a "run" message arrives for a different test run, since that means our peer has moved on and will never send the message)
+	receive(type, run, timeout)
+	{
+		return new Promise((resolve, reject) =>
+		{
+			let receiver = {'type': type, 'run': run, 'resolve': resolve, 'reject': reject, 'persistent': false, 'timer': null};
+			if (this._deliver(receiver) === true) {
+				return;
+			}
+			
+			if (timeout !== undefined && timeout !== null)
+			{
+				receiver['timer'] = window.setTimeout(() =>
+				{
+					this._removeReceiver(receiver);
+					reject(new Error(`timed out waiting for a "${type}" signaling message from the peer`));
+				}, timeout);
+			}
+			
+			this._receivers.push(receiver);
+		});
+	}
+	
+	// Invokes the supplied handler with every message of the specified type for the specified test run (including any
+	// that have already arrived), returning a function that stops the handler from receiving any further messages
+	subscribe(type, run, handler)
+	{
+		let receiver = {'type': type, 'run': run, 'resolve': handler, 'reject': () => {}, 'persistent': true, 'timer': null};
+		this._deliver(receiver);
+		this._receivers.push(receiver);
+		return () => { this._removeReceiver(receiver); };
+	}
+	
+	// Repeatedly polls the webserver for messages until polling is stopped
+	async _poll()
+	{
+		while (this._polling === true)
+		{
+			try
+			{
+				let messages = await $.ajax({
+					type: 'GET',
+					url: `/signal/${encodeURIComponent(this._room)}/${this._role}`,
+					dataType: 'json'
+				});
+				
+				for (let message of messages) {
+					this._dispatch(message);
+				}
+			}
+			catch (err)
+			{
+				// Back off briefly before retrying if the webserver is unavailable
+				console.log('[Signaling] Polling failed: ', err);
+				await PromiseUtils.waitForMilliseconds(1000);
+			}
+		}
+	}
+	
+	// Delivers a message to the first matching receiver, or stores it in our inbox if there is none
+	_dispatch(message)
+	{
+		console.log(`[Signaling] Received "${message['type']}" message for run ${message['run']}`);
+		
+		// A new test run supersedes all previous ones, so discard their messages and reject anything still waiting for them
+		if (message['type'] === 'run')
+		{
+			this._inbox = this._inbox.filter((m) => m['run'] === message['run']);
+			for (let receiver of this._receivers.slice())
+			{
+				if (receiver['run'] !== null && receiver['run'] !== message['run'])
+				{
+					this._removeReceiver(receiver);
+					receiver['reject'](new Error(`test run ${receiver['run']} was superseded by test run ${message['run']}`));
+				}
+			}
+		}
+		
+		for (let receiver of this._receivers)
+		{
+			if (SignalingChannel._matches(receiver, message))
+			{
+				if (receiver['persistent'] === false) {
+					this._removeReceiver(receiver);
+				}
+				
+				receiver['resolve'](message);
+				return;
+			}
+		}
+		
+		this._inbox.push(message);
+	}
+	
+	// Delivers any matching messages from our inbox to the supplied receiver, returning true if a non-persistent receiver was satisfied
+	_deliver(receiver)
+	{
+		for (let index = 0; index < this._inbox.length; )
+		{
+			let message = this._inbox[index];
+			if (SignalingChannel._matches(receiver, message))
+			{
+				this._inbox.splice(index, 1);
+				receiver['resolve'](message);
+				if (receiver['persistent'] === false) {
+					return true;
+				}
+			}
+			else {
+				++index;
+			}
+		}
+		
+		return false;
+	}
+	
+	// Stops a receiver from receiving any further messages
+	_removeReceiver(receiver)
+	{
+		if (receiver['timer'] !== null) {
+			window.clearTimeout(receiver['timer']);
+		}
+		
+		this._receivers = this._receivers.filter((r) => r !== receiver);
+	}
+	
+	// Determines whether a message matches the type and test run that a receiver is waiting for
+	static _matches(receiver, message) {
+		return (message['type'] === receiver['type'] && (receiver['run'] === null || message['run'] === receiver['run']));
+	}
+}
@@ -0,0 +1,277 @@
+'use strict';
+
+
+// Provides a local media stream by playing a video file in a <video> element and capturing its output
+class VideoFileSource
+{
+	// Configures the source to play the video file from the supplied list of URLs in the supplied <video> element
+	// (Note that we take a list of URLs so we can provide multiple codec options, e.g. H.264 and VP9)
+	constructor(videoElem, videoURLs, index)
+	{
+		this._elem = videoElem;
+		this._videoURLs = videoURLs;
+		this._index = index;
+		this._stream = null;
+	}
+	
+	// Loads the video file and captures the media stream from the <video> element
+	async prepare()
+	{
+		// Create a regular expression for extracting the file extension from a URL
+		let extRegex = new RegExp('.+\\.([A-Za-z0-9]+)');
+		
+		// Point the <video> element to our video file
+		// (Ensure we make the URLs unique to prevent duplicate stream IDs)
+		for (let url of this._videoURLs)
+		{
+			let matches = extRegex.exec(url);
+			let extension = (matches !== null && matches.length > 0) ? matches[1] : 'unknown';
+			let source = $(document.createElement('source'));
+			source.attr('src', `${url}?i=${this._index}`);
+			source.attr('type', `video/${extension}`);
+			$(this._elem).append(source);
+		}
+		
+		// Wait for the <video> element to be ready
+		if (this._elem.readyState < 3) {
+			await PromiseUtils.waitForEvent(this._elem, 'canplay');
+		}
+		
+		// Attempt to retrieve the media stream from the <video> element
+		if (this._elem.captureStream) {
+			this._stream = this._elem.captureStream();
+		}
+		else if (this._elem.mozCaptureStream) {
+			this._stream = this._elem.mozCaptureStream();
+		}
+		else {
+			throw new Error('Stream capture is not supported!');
+		}
+	}
+	
+	// Returns the captured media stream
+	getStream() {
+		return this._stream;
+	}
+	
+	// Returns the duration (in seconds) of the media
+	getDuration() {
+		return this._elem.duration;
+	}
+	
+	// Returns the <video> element that the video file is played in
+	getVideoElement() {
+		return this._elem;
+	}
+	
+	// Returns whether the media stream includes video
+	hasVideo() {
+		return true;
+	}
+	
+	// Starts playback
+	async start() {
+		await this._elem.play();
+	}
+	
+	// Waits for playback to complete, rejecting if it has not completed within the optional timeout in milliseconds
+	async waitForCompletion(timeout)
+	{
+		// Note that this method of detecting playback completion is necessary because some browsers fail to fire the `ended` event
+		// or set the ended attribute to true when we are testing a large number of concurrent media streams, presumably due to bugs
+		await PromiseUtils.waitForCondition(() => { return (this._elem.ended === true || (this._elem.duration - this._elem.currentTime) < 0.1); }, timeout);
+	}
+	
+	// Stops playback
+	stop() {
+		this._elem.pause();
+	}
+	
+	// Stops the captured tracks and releases the video file, removing the <video> element from the page
+	// (Removing the <source> elements and reloading is what actually frees the decoder, since a paused element keeps its resources)
+	release()
+	{
+		if (this._stream !== null)
+		{
+			for (let track of this._stream.getTracks()) {
+				track.stop();
+			}
+		}
+		
+		this._elem.pause();
+		$(this._elem).empty();
+		this._elem.removeAttribute('src');
+		this._elem.load();
+		$(this._elem).remove();
+	}
+}
+
+
+// Provides a local media stream generated synthetically, with video frames drawn onto a <canvas> element (with the stream index and a
+// frame counter burned in) and audio generated by a WebAudio oscillator with a distinct tone for each stream
+class SyntheticSource
+{
+	// Configures the source with the supplied settings (resolution, frame rate, duration in seconds and whether to include audio and/or video)
+	constructor(container, audioContext, index, settings)
+	{
+		this._container = container;
+		this._audioContext = audioContext;
+		this._index = index;
+		this._settings = settings;
+		this._canvas = null;
+		this._context = null;
+		this._oscillator = null;
+		this._stream = null;
+		this._timer = null;
+		this._framesDrawn = 0;
+		this._startTime = null;
+		
+		// Give each stream a distinct colour and tone so they can be told apart if they become mixed up
+		this._hue = (index * 47) % 360;
+		this._frequency = 220 + (index % 64) * 20;
+	}
+	
+	// Creates the canvas and/or oscillator and captures the media stream from them
+	async prepare()
+	{
+		this._stream = new MediaStream();
+		
+		// Create the canvas and capture a video track from it
+		if (this._settings['video'] === true)
+		{
+			this._canvas = $(document.createElement('canvas')).attr('width', this._settings['width']).attr('height', this._settings['height'])[0];
+			this._container.append(this._canvas);
+			this._context = this._canvas.getContext('2d');
+			this._drawFrame();
+			for (let track of this._canvas.captureStream(this._settings['frameRate']).getVideoTracks()) {
+				this._stream.addTrack(track);
+			}
+		}
+		
+		// Create the oscillator and capture an audio track from it
+		if (this._settings['audio'] === true)
+		{
+			this._oscillator = this._audioContext.createOscillator();
+			this._oscillator.frequency.value = this._frequency;
+			let destination = this._audioContext.createMediaStreamDestination();
+			this._oscillator.connect(destination);
+			for (let track of destination.stream.getAudioTracks()) {
+				this._stream.addTrack(track);
+			}
+		}
+	}
+	
+	// Returns the generated media stream
+	getStream() {
+		return this._stream;
+	}
+	
+	// Returns the duration (in seconds) of the media
+	getDuration() {
+		return this._settings['duration'];
+	}
+	
+	// Returns null, since synthetic media is not played in a <video> element
+	getVideoElement() {
+		return null;
+	}
+	
+	// Returns whether the media stream includes video
+	hasVideo() {
+		return (this._settings['video'] === true);
+	}
+	
+	// Returns the number of video frames drawn so far
+	getFramesDrawn() {
+		return this._framesDrawn;
+	}
+	
+	// Starts generating media
+	async start()
+	{
+		this._startTime = window.performance.now();
+		
+		if (this._oscillator !== null) {
+			this._oscillator.start();
+		}
+		
+		if (this._canvas !== null) {
+			this._timer = window.setInterval(() => { this._drawFrame(); }, 1000.0 / this._settings['frameRate']);
+		}
+	}
+	
+	// Waits for the configured duration to elapse and then stops generating media
+	// (Generated media cannot stall, since it is driven by a timer, so no timeout is needed)
+	async waitForCompletion()
+	{
+		let remaining = (this._settings['duration'] * 1000.0) - (window.performance.now() - this._startTime);
+		if (remaining > 0) {
+			await PromiseUtils.waitForMilliseconds(remaining);
+		}
+		
+		this.stop();
+	}
+	
+	// Stops generating media
+	stop()
+	{
+		if (this._timer !== null)
+		{
+			window.clearInterval(this._timer);
+			this._timer = null;
+		}
+		
+		if (this._oscillator !== null && this._startTime !== null)
+		{
+			this._oscillator.stop();
+			this._oscillator = null;
+		}
+	}
+	
+	// Stops generating media, stops the generated tracks and removes the <canvas> element from the page
+	release()
+	{
+		this.stop();
+		if (this._oscillator !== null)
+		{
+			this._oscillator.disconnect();
+			this._oscillator = null;
+		}
+		
+		if (this._stream !== null)
+		{
+			for (let track of this._stream.getTracks()) {
+				track.stop();
+			}
+		}
+		
+		if (this._canvas !== null)
+		{
+			$(this._canvas).remove();
+			this._canvas = null;
+			this._context = null;
+		}
+	}
+	
+	// Draws a video frame with the stream index and frame counter burned in
+	_drawFrame()
+	{
+		let width = this._canvas.width;
+		let height = this._canvas.height;
+		let ctx = this._context;
+		
+		// Draw the background in the stream's colour, with a bar that sweeps across the frame so that consecutive frames always differ
+		ctx.fillStyle = `hsl(${this._hue}, 60%, 40%)`;
+		ctx.fillRect(0, 0, width, height);
+		ctx.fillStyle = '#ffffff';
+		ctx.fillRect((this._framesDrawn * 8) % width, 0, Math.max(4, width / 64), height);
+		
+		// Burn in the stream index and frame counter
+		ctx.font = `${Math.round(height / 8)}px monospace`;
+		ctx.textBaseline = 'top';
+		ctx.fillText(`Stream ${this._index}`, width / 20, height / 10);
+		ctx.fillText(`Frame ${this._framesDrawn}`, width / 20, height / 10 + height / 6);
+		
+		this._framesDrawn += 1;
+	}
+}
@@ -0,0 +1,245 @@
+'use strict';
+
+
+// Periodically samples getStats() for a set of RTCPeerConnection objects and summarises the per-track and data channel metrics
+class StatsSampler
+{
+	// Configures the sampler for the supplied connections (an object mapping names to RTCPeerConnection objects) and sampling interval in milliseconds
+	constructor(connections, interval)
+	{
+		this._connections = connections;
+		this._interval = interval;
+		this._timer = null;
+		this._pending = null;
+		this._numSamples = 0;
+		
+		// The latest metrics for each RTP stream and data channel, keyed by connection name and stats report ID
+		this._tracks = new Map();
+		this._channels = new Map();
+		this._codecs = new Map();
+		this._sctp = {};
+	}
+	
+	// Starts sampling
+	start()
+	{
+		this._sample();
+		this._timer = window.setInterval(() => { this._sample(); }, this._interval);
+	}
+	
+	// Stops sampling and takes a final sample so the summary reflects the state at the end of the run
+	async stop()
+	{
+		this.cancel();
+		if (this._pending !== null) {
+			await this._pending;
+		}
+		
+		await this._sample();
+	}
+	
+	// Stops sampling without taking a final sample
+	cancel()
+	{
+		if (this._timer !== null)
+		{
+			window.clearInterval(this._timer);
+			this._timer = null;
+		}
+	}
+	
+	// Returns the summary of the metrics collected so far
+	getSummary()
+	{
+		// Summarise each RTP stream
+		let tracks = Array.from(this._tracks.values()).map((track) =>
+		{
+			let summary = Object.assign({}, track);
+			delete summary['fpsSamples'];
+			delete summary['lastFrames'];
+			delete summary['lastTimestamp'];
+			delete summary['codecId'];
+			summary['fps'] = StatsSampler._describe(track['fpsSamples']);
+			summary['codec'] = (this._codecs.has(track['codecId'])) ? this._codecs.get(track['codecId']) : null;
+			return summary;
+		});
+		
+		// Summarise inbound and outbound video across all of the RTP streams
+		let inboundVideo = tracks.filter((t) => t['direction'] === 'inbound' && t['kind'] === 'video');
+		let outboundVideo = tracks.filter((t) => t['direction'] === 'outbound' && t['kind'] === 'video');
+		let meanFps = inboundVideo.map((t) => t['fps']['mean']).filter((fps) => fps !== null);
+		let channels = Array.from(this._channels.values());
+		
+		// Identify the distinct video codecs that were actually used on the wire
+		let videoCodecs = [];
+		for (let track of inboundVideo.concat(outboundVideo))
+		{
+			let codec = (track['codec'] !== null) ? CodecPreferences.describe(track['codec']) : null;
+			if (codec !== null && videoCodecs.includes(codec) === false) {
+				videoCodecs.push(codec);
+			}
+		}
+		
+		return {
+			'samples': this._numSamples,
+			'tracks': tracks,
+			'videoCodecs': videoCodecs,
+			'inboundVideo': {
+				'tracks': inboundVideo.length,
+				'framesDecoded': StatsSampler._sum(inboundVideo, 'framesDecoded'),
+				'framesDropped': StatsSampler._sum(inboundVideo, 'framesDropped'),
+				'packetsLost': StatsSampler._sum(inboundVideo, 'packetsLost'),
+				'bytesReceived': StatsSampler._sum(inboundVideo, 'bytesReceived'),
+				'meanFps': (meanFps.length > 0) ? meanFps.reduce((a, b) => a + b, 0) / meanFps.length : null,
+				'minMeanFps': (meanFps.length > 0) ? Math.min(...meanFps) : null
+			},
+			'outboundVideo': {
+				'tracks': outboundVideo.length,
+				'framesEncoded': StatsSampler._sum(outboundVideo, 'framesEncoded'),
+				'bytesSent': StatsSampler._sum(outboundVideo, 'bytesSent')
+			},
+			'dataChannels': {
+				'count': channels.length,
+				'messagesSent': StatsSampler._sum(channels, 'messagesSent'),
+				'messagesReceived': StatsSampler._sum(channels, 'messagesReceived'),
+				'bytesSent': StatsSampler._sum(channels, 'bytesSent'),
+				'bytesReceived': StatsSampler._sum(channels, 'bytesReceived')
+			},
+			'sctp': this._sctp
+		};
+	}
+	
+	// Returns the inbound video tracks whose mean frame rate fell below the specified threshold
+	findTracksBelowFps(minFps)
+	{
+		return this.getSummary()['tracks'].filter((t) =>
+			t['direction'] === 'inbound' && t['kind'] === 'video' && (t['fps']['mean'] === null || t['fps']['mean'] < minFps)
+		);
+	}
+	
+	// Samples the stats for each of our connections, skipping the sample if the previous one is still in progress
+	_sample()
+	{
+		if (this._pending !== null) {
+			return this._pending;
+		}
+		
+		this._pending = Promise.all(Object.keys(this._connections).map((name) => this._sampleConnection(name, this._connections[name])))
+			.catch((err) => { console.log('[Stats Sampler] Failed to sample stats: ', err); })
+			.then(() =>
+			{
+				this._numSamples += 1;
+				this._pending = null;
+			});
+		
+		return this._pending;
+	}
+	
+	// Samples the stats for a single connection
+	async _sampleConnection(name, connection)
+	{
+		// Skip connections that have already been closed
+		if (connection === null || connection.connectionState === 'closed') {
+			return;
+		}
+		
+		// Record the SCTP transport details for the connection, if any
+		if (connection.sctp)
+		{
+			this._sctp[name] = {
+				'state': connection.sctp.state,
+				'maxMessageSize': connection.sctp.maxMessageSize,
+				'maxChannels': (connection.sctp.maxChannels !== undefined) ? connection.sctp.maxChannels : null
+			};
+		}
+		
+		let reports = await connection.getStats();
+		reports.forEach((report) =>
+		{
+			let key = `${name}:${report.id}`;
+			if (report.type === 'outbound-rtp' || report.type === 'inbound-rtp') {
+				this._updateTrack(key, name, report);
+			}
+			else if (report.type === 'codec')
+			{
+				this._codecs.set(key, {
+					'mimeType': report.mimeType,
+					'sdpFmtpLine': (report.sdpFmtpLine !== undefined) ? report.sdpFmtpLine : null,
+					'payloadType': report.payloadType
+				});
+			}
+			else if (report.type === 'data-channel')
+			{
+				this._channels.set(key, {
+					'connection': name,
+					'label': report.label,
+					'state': report.state,
+					'messagesSent': report.messagesSent,
+					'messagesReceived': report.messagesReceived,
+					'bytesSent': report.bytesSent,
+					'bytesReceived': report.bytesReceived
+				});
+			}
+		});
+	}
+	
+	// Updates the metrics for an RTP stream from an "inbound-rtp" or "outbound-rtp" stats report
+	_updateTrack(key, name, report)
+	{
+		let inbound = (report.type === 'inbound-rtp');
+		let previous = this._tracks.get(key);
+		let track = {
+			'connection': name,
+			'direction': inbound ? 'inbound' : 'outbound',
+			'kind': (report.kind !== undefined) ? report.kind : report.mediaType,
+			'mid': (report.mid !== undefined) ? report.mid : null,
+			'trackIdentifier': (report.trackIdentifier !== undefined) ? report.trackIdentifier : null,
+			'framesEncoded': inbound ? null : StatsSampler._value(report.framesEncoded),
+			'framesDecoded': inbound ? StatsSampler._value(report.framesDecoded) : null,
+			'framesDropped': inbound ? StatsSampler._value(report.framesDropped) : null,
+			'packetsLost': inbound ? StatsSampler._value(report.packetsLost) : null,
+			'bytesSent': inbound ? null : StatsSampler._value(report.bytesSent),
+			'bytesReceived': inbound ? StatsSampler._value(report.bytesReceived) : null,
+			'jitter': inbound ? StatsSampler._value(report.jitter) : null,
+			'codecId': (report.codecId !== undefined) ? `${name}:${report.codecId}` : null,
+			'fpsSamples': (previous !== undefined) ? previous['fpsSamples'] : [],
+			'lastFrames': inbound ? report.framesDecoded : report.framesEncoded,
+			'lastTimestamp': report.timestamp
+		};
+		
+		// Record a frame rate sample once frames have started flowing, preferring the browser-reported value and falling back
+		// to the rate computed from the frame counter when the browser does not report one
+		if (track['kind'] === 'video' && track['lastFrames'] > 0)
+		{
+			if (report.framesPerSecond !== undefined) {
+				track['fpsSamples'].push(report.framesPerSecond);
+			}
+			else if (previous !== undefined && previous['lastFrames'] > 0 && report.timestamp > previous['lastTimestamp'])
+			{
+				let elapsed = (report.timestamp - previous['lastTimestamp']) / 1000.0;
+				track['fpsSamples'].push((track['lastFrames'] - previous['lastFrames']) / elapsed);
+			}
+		}
+		
+		this._tracks.set(key, track);
+	}
+	
+	// Returns the supplied stats value, or null if the browser did not report it
+	static _value(value) {
+		return (value !== undefined) ? value : null;
+	}
+	
+	// Sums the specified field across a list of objects, ignoring null values
+	static _sum(items, field) {
+		return items.reduce((total, item) => total + ((item[field] !== null && item[field] !== undefined) ? item[field] : 0), 0);
+	}
+	
+	// Computes the mean and minimum of a list of samples
+	static _describe(samples)
+	{
+		return {
+			'mean': (samples.length > 0) ? samples.reduce((a, b) => a + b, 0) / samples.length : null,
+			'min': (samples.length > 0) ? Math.min(...samples) : null
+		};
+	}
+}
@@ -0,0 +1,156 @@
+'use strict';
+
+
+// Records timestamps for each phase of a test run, along with the size of the session descriptions exchanged during negotiation
+// (Timestamps are in milliseconds relative to the creation of the timer, and a phase that never completed has a null end timestamp)
+class PhaseTimer
+{
+	// The phases of a test run, in the order they occur
+	// ("setOffer" and "setAnswer" cover the setLocalDescription() and setRemoteDescription() calls for the offer and answer respectively,
+	// and "iceConnected" ends once every end of the connection that lives in this page has an ICE connection state of connected)
+	static phases() {
+		return ['setup', 'createOffer', 'setOffer', 'createAnswer', 'setAnswer', 'iceConnected', 'channelsOpen', 'echo', 'teardown'];
+	}
+	
+	// Creates a timer whose timestamps are relative to the current time
+	constructor()
+	{
+		this._origin = window.performance.now();
+		this._phases = {};
+		this._descriptions = {
+			'offer': null,
+			'answer': null
+		};
+	}
+	
+	// Marks the start of the specified phase
+	begin(phase) {
+		this._phases[phase] = {'start': this._now(), 'end': null};
+	}
+	
+	// Marks the end of the specified phase, unless it never started or has already ended
+	end(phase)
+	{
+		let entry = this._phases[phase];
+		if (entry !== undefined && entry['end'] === null) {
+			entry['end'] = this._now();
+		}
+	}
+	
+	// Runs the supplied asynchronous function as the specified phase, returning its result
+	// (If the function throws then the phase is left incomplete, so the failing phase can be identified from the summary)
+	async measure(phase, func)
+	{
+		this.begin(phase);
+		let result = await func();
+		this.end(phase);
+		return result;
+	}
+	
+	// Records the size and number of media sections of an offer or answer
+	recordDescription(description) {
+		this._descriptions[description.type] = PhaseTimer.describeSdp(description.sdp);
+	}
+	
+	// Returns the start, end and duration of every phase, along with the sizes of the offer and answer
+	getSummary()
+	{
+		let phases = {};
+		for (let phase of PhaseTimer.phases())
+		{
+			let entry = this._phases[phase];
+			phases[phase] = {
+				'start': (entry !== undefined) ? entry['start'] : null,
+				'end': (entry !== undefined) ? entry['end'] : null,
+				'duration': (entry !== undefined && entry['end'] !== null) ? entry['end'] - entry['start'] : null
+			};
+		}
+		
+		return {
+			'phases': phases,
+			'offer': this._descriptions['offer'],
+			'answer': this._descriptions['answer']
+		};
+	}
+	
+	// Returns the size in bytes and the number of media sections ("m=" lines) of an SDP string
+	static describeSdp(sdp)
+	{
+		return {
+			'bytes': new TextEncoder().encode(sdp).length,
+			'mLines': sdp.split(/\r?\n/).filter((line) => line.startsWith('m=')).length
+		};
+	}
+	
+	// Returns a human-readable description of a timing summary, listing the duration of each completed phase and the description sizes
+	static describe(summary)
+	{
+		let phases = PhaseTimer.phases()
+			.filter((phase) => summary['phases'][phase]['duration'] !== null)
+			.map((phase) => `${phase} ${summary['phases'][phase]['duration'].toFixed(0)}ms`);
+		let descriptions = ['offer', 'answer']
+			.filter((type) => summary[type] !== null)
+			.map((type) => `${type} ${summary[type]['bytes']} bytes with ${summary[type]['mLines']} m-lines`);
+		
+		return phases.concat(descriptions).join(', ');
+	}
+	
+	// Builds the charts (as consumed by SvgChart) that plot the phase durations and description sizes against the tested value,
+	// for every result record of the specified parameter that includes a timing summary
+	static buildCharts(records, parameter, label)
+	{
+		let timed = records.filter((record) =>
+			record['parameter'] === parameter && record['value'] !== null &&
+			record['timing'] !== undefined && record['timing'] !== null
+		);
+		
+		// Extracts a series of points from the timing summary of each record, skipping records for which the value is unavailable
+		const series = (name, extract) =>
+		{
+			return {
+				'name': name,
+				'points': timed.map((record) => [record['value'], extract(record['timing'])]).filter((point) => point[1] !== null)
+			};
+		};
+		
+		// Extracts the specified field of a description summary, which is null if that description was never created
+		const description = (type, field) => (timing) => (timing[type] !== null) ? timing[type][field] : null;
+		
+		return [
+			{
+				'title': 'Duration of each phase',
+				'xLabel': label,
+				'yLabel': 'Milliseconds',
+				'logX': true,
+				'series': PhaseTimer.phases().map((phase) => series(phase, (timing) =>
+					(timing['phases'][phase] !== undefined) ? timing['phases'][phase]['duration'] : null
+				))
+			},
+			{
+				'title': 'Session description size',
+				'xLabel': label,
+				'yLabel': 'Bytes',
+				'logX': true,
+				'series': [
+					series('offer', description('offer', 'bytes')),
+					series('answer', description('answer', 'bytes'))
+				]
+			},
+			{
+				'title': 'Session description media sections',
+				'xLabel': label,
+				'yLabel': 'm-lines',
+				'logX': true,
+				'series': [
+					series('offer', description('offer', 'mLines')),
+					series('answer', description('answer', 'mLines'))
+				]
+			}
+		];
+	}
+	
+	// Returns the current time relative to the creation of the timer
+	_now() {
+		return window.performance.now() - this._origin;
+	}
+}
@@ -0,0 +1,88 @@
+'use strict';
+
+
+// Builds the RTCConfiguration used by both ends of the peer connection for each test run from the transport settings of the test suite
+// (By default the browser's own bundle, RTCP multiplexing and ICE policies are used with no ICE servers, which only measures limits for
+// host candidates, whereas relay candidates and other bundle policies change how many transports and ports each media stream consumes)
+class TransportConfig
+{
+	// The algorithms that can be used to generate the DTLS certificate for each peer connection, keyed by the name used in the settings
+	static certificateAlgorithms()
+	{
+		return {
+			'ecdsa': {'name': 'ECDSA', 'namedCurve': 'P-256'},
+			'rsa': {'name': 'RSASSA-PKCS1-v1_5', 'modulusLength': 2048, 'publicExponent': new Uint8Array([1, 0, 1]), 'hash': 'SHA-256'}
+		};
+	}
+	
+	// Builds the configuration from the supplied transport settings, retrieving the ICE server entry for the webserver's TURN relay if it
+	// is to be used and generating a certificate if one was requested, and verifies that the browser accepts the resulting configuration
+	// (A single certificate is shared by every peer connection, since generating an RSA certificate for each one would dominate setup times)
+	static async build(transport)
+	{
+		let config = {'iceTransportPolicy': transport['iceTransportPolicy']};
+		if (transport['bundlePolicy'] !== 'default') {
+			config['bundlePolicy'] = transport['bundlePolicy'];
+		}
+		if (transport['rtcpMuxPolicy'] !== 'default') {
+			config['rtcpMuxPolicy'] = transport['rtcpMuxPolicy'];
+		}
+		
+		// Use the configured ICE servers along with the webserver's TURN relay, if requested
+		let iceServers = [];
+		let urls = transport['iceServerURLs'].split(',').map((url) => url.trim()).filter((url) => url.length > 0);
+		if (urls.length > 0)
+		{
+			let server = {'urls': urls};
+			if (transport['iceUsername'].length > 0 || transport['iceCredential'].length > 0)
+			{
+				server['username'] = transport['iceUsername'];
+				server['credential'] = transport['iceCredential'];
+			}
+			iceServers.push(server);
+		}
+		if (transport['localTurn'] === true)
+		{
+			let response = await fetch('/turn');
+			if (response.ok === false) {
+				throw new Error('the webserver is not running a TURN relay (start it with the --turn flag)');
+			}
+			
+			iceServers.push(await response.json());
+		}
+		if (iceServers.length > 0) {
+			config['iceServers'] = iceServers;
+		}
+		else if (config['iceTransportPolicy'] === 'relay') {
+			throw new Error('relay-only ICE requires at least one TURN server');
+		}
+		
+		// Generate the certificate, if one was requested
+		if (transport['certificate'] !== 'default')
+		{
+			let algorithm = TransportConfig.certificateAlgorithms()[transport['certificate']];
+			if (algorithm === undefined) {
+				throw new Error(`unknown certificate algorithm "${transport['certificate']}"`);
+			}
+			
+			config['certificates'] = [await RTCPeerConnection.generateCertificate(algorithm)];
+		}
+		
+		// Create and immediately close a peer connection, so that a policy the browser does not support (e.g. an rtcpMuxPolicy of
+		// "negotiate") is reported before testing starts rather than failing every test run during setup
+		new RTCPeerConnection(config).close();
+		return config;
+	}
+	
+	// Returns a summary of the transport settings and configuration for inclusion in result records, omitting any ICE server credentials
+	static summarise(transport, config)
+	{
+		return {
+			'bundlePolicy': transport['bundlePolicy'],
+			'rtcpMuxPolicy': transport['rtcpMuxPolicy'],
+			'iceTransportPolicy': transport['iceTransportPolicy'],
+			'iceServers': (config['iceServers'] !== undefined) ? config['iceServers'].flatMap((server) => server['urls']) : [],
+			'certificate': transport['certificate']
+		};
+	}
+}
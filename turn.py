@@ -0,0 +1,370 @@
+#!/usr/bin/env python3
+from hashlib import md5, sha1
+from threading import Thread
+from uuid import uuid4
+import hmac, selectors, socket, struct, time
+
+# The magic cookie present in every STUN message, and the message types we handle (RFC 5389 and RFC 5766)
+magicCookie = 0x2112A442
+bindingRequest = 0x0001
+allocateRequest = 0x0003
+refreshRequest = 0x0004
+sendIndication = 0x0016
+dataIndication = 0x0017
+createPermissionRequest = 0x0008
+channelBindRequest = 0x0009
+
+# The STUN and TURN attributes we read or write
+attrUsername = 0x0006
+attrMessageIntegrity = 0x0008
+attrErrorCode = 0x0009
+attrChannelNumber = 0x000C
+attrLifetime = 0x000D
+attrXorPeerAddress = 0x0012
+attrData = 0x0013
+attrRealm = 0x0014
+attrNonce = 0x0015
+attrXorRelayedAddress = 0x0016
+attrRequestedTransport = 0x0019
+attrXorMappedAddress = 0x0020
+
+# The default and maximum lifetime of an allocation, and the lifetimes of permissions and channel bindings, in seconds
+defaultLifetime = 600
+maxLifetime = 3600
+permissionLifetime = 300
+channelLifetime = 600
+
+
+# Encodes a STUN attribute, padding its value to a multiple of four bytes
+def encode_attribute(attrType, value):
+	return struct.pack('!HH', attrType, len(value)) + value + (b'\x00' * ((4 - len(value) % 4) % 4))
+
+
+# Encodes an IPv4 address and port as the value of an XOR-*-ADDRESS attribute
+def encode_xor_address(address):
+	ip, port = address
+	packedIP = struct.unpack('!I', socket.inet_aton(ip))[0]
+	return struct.pack('!BBHI', 0, 0x01, port ^ (magicCookie >> 16), packedIP ^ magicCookie)
+
+
+# Decodes the value of an XOR-*-ADDRESS attribute, returning None if it is not an IPv4 address
+def decode_xor_address(value):
+	if len(value) < 8 or value[1] != 0x01:
+		return None
+	_, _, port, packedIP = struct.unpack('!BBHI', value[:8])
+	return (socket.inet_ntoa(struct.pack('!I', packedIP ^ magicCookie)), port ^ (magicCookie >> 16))
+
+
+# Parses a STUN message into its type, transaction ID and list of (type, value, offset) attributes, returning None if it is malformed
+def parse_message(data):
+	if len(data) < 20:
+		return None
+	msgType, length, cookie = struct.unpack('!HHI', data[:8])
+	if cookie != magicCookie or len(data) < 20 + length:
+		return None
+	
+	attributes = []
+	offset = 20
+	while offset + 4 <= 20 + length:
+		attrType, attrLength = struct.unpack('!HH', data[offset:offset + 4])
+		attributes.append((attrType, data[offset + 4:offset + 4 + attrLength], offset))
+		offset += 4 + attrLength + ((4 - attrLength % 4) % 4)
+	
+	return msgType, data[8:20], attributes
+
+
+# A minimal TURN relay (RFC 5766) over UDP with long-term credentials, for measuring relay-only limits without an external TURN server
+# (Only what browsers need for UDP relaying is implemented: allocations, refreshes, permissions, channel bindings, Send and Data indications,
+# ChannelData messages and STUN binding requests. There is no TCP or TLS transport, no IPv6 and no bandwidth quota, so it must not be
+# exposed to untrusted networks.)
+class TurnRelay:
+	
+	# Configures the relay to listen on the specified address and port, relay from the specified address, and accept the specified credentials
+	def __init__(self, host, port, username, password, relayHost=None, realm='webrtc-limits'):
+		self.host = host
+		self.port = port
+		self.relayHost = relayHost if relayHost is not None else host
+		self.username = username
+		self.password = password
+		self.realm = realm
+		self.nonce = uuid4().hex
+		self.key = md5('{}:{}:{}'.format(username, realm, password).encode('utf-8')).digest()
+		self.selector = selectors.DefaultSelector()
+		self.socket = None
+		self.thread = None
+		self.running = False
+		
+		# The allocation for each client address, which holds its relay socket, permitted peer addresses and channel bindings
+		self.allocations = {}
+	
+	# Returns the ICE server entry that a browser uses to connect to the relay
+	def ice_server(self):
+		return {
+			'urls': ['turn:{}:{}?transport=udp'.format(self.host, self.port)],
+			'username': self.username,
+			'credential': self.password
+		}
+	
+	# Binds the listening socket and starts serving requests in a background thread
+	def start(self):
+		self.socket = socket.socket(socket.AF_INET, socket.SOCK_DGRAM)
+		self.socket.bind((self.host, self.port))
+		self.selector.register(self.socket, selectors.EVENT_READ, None)
+		self.running = True
+		self.thread = Thread(target=self.serve, daemon=True)
+		self.thread.start()
+	
+	# Stops serving requests and closes every socket
+	def stop(self):
+		self.running = False
+		if self.thread is not None:
+			self.thread.join()
+		for clientAddress in list(self.allocations.keys()):
+			self.release(clientAddress)
+		self.selector.unregister(self.socket)
+		self.socket.close()
+	
+	# Serves requests from clients and relays data from peers until stopped, expiring stale allocations, permissions and channels once per second
+	def serve(self):
+		while self.running:
+			for key, _ in self.selector.select(timeout=1.0):
+				try:
+					data, address = key.fileobj.recvfrom(65536)
+				except OSError:
+					continue
+				
+				# Log and discard any datagram we fail to handle, so that a single malformed message cannot stop the relay
+				try:
+					if key.data is None:
+						self.handle_client(data, address)
+					else:
+						self.handle_peer(key.data, data, address)
+				except Exception as err:
+					print('TURN relay failed to handle a datagram from {}:{}: {!r}'.format(address[0], address[1], err))
+			self.expire()
+	
+	# Handles a STUN message or ChannelData message received from a client
+	def handle_client(self, data, clientAddress):
+		
+		# ChannelData messages start with a channel number in the range 0x4000 to 0x7FFF
+		if len(data) >= 4 and (data[0] & 0xC0) == 0x40:
+			channel, length = struct.unpack('!HH', data[:4])
+			allocation = self.allocations.get(clientAddress, None)
+			if allocation is not None and channel in allocation['channels']:
+				self.relay_to_peer(allocation, allocation['channels'][channel][0], data[4:4 + length])
+			return
+		
+		message = parse_message(data)
+		if message is None:
+			return
+		msgType, transactionID, attributes = message
+		values = {attrType: value for attrType, value, _ in attributes}
+		
+		# Binding requests need no authentication and simply report the client's address
+		if msgType == bindingRequest:
+			self.respond(clientAddress, 0x0101, transactionID, [(attrXorMappedAddress, encode_xor_address(clientAddress))], False)
+			return
+		
+		# Send indications carry data to a peer that the client has permission to reach
+		if msgType == sendIndication:
+			allocation = self.allocations.get(clientAddress, None)
+			peer = decode_xor_address(values.get(attrXorPeerAddress, b''))
+			if allocation is not None and peer is not None and attrData in values:
+				self.relay_to_peer(allocation, peer, values[attrData])
+			return
+		
+		# Every other request we handle requires long-term credentials, so challenge the client for them if they are missing or invalid
+		handlers = {
+			allocateRequest: lambda clientAddress, values: self.allocate(clientAddress, values, transactionID),
+			refreshRequest: self.refresh,
+			createPermissionRequest: self.create_permission,
+			channelBindRequest: self.channel_bind
+		}
+		if msgType not in handlers:
+			return
+		if not self.authenticate(data, attributes):
+			self.respond(clientAddress, msgType | 0x0110, transactionID, [
+				self.error(401, 'Unauthorized'),
+				(attrRealm, self.realm.encode('utf-8')),
+				(attrNonce, self.nonce.encode('utf-8'))
+			], False)
+			return
+		
+		success, responseAttributes = handlers[msgType](clientAddress, values)
+		self.respond(clientAddress, msgType | (0x0100 if success else 0x0110), transactionID, responseAttributes, True)
+	
+	# Relays data received by a relay socket from a peer to the client, provided the client has given the peer permission
+	def handle_peer(self, clientAddress, data, peer):
+		allocation = self.allocations.get(clientAddress, None)
+		if allocation is None or peer[0] not in allocation['permissions']:
+			return
+		
+		channel = allocation['peers'].get(peer, None)
+		if channel is not None:
+			self.socket.sendto(struct.pack('!HH', channel, len(data)) + data, clientAddress)
+		else:
+			self.respond(clientAddress, dataIndication, uuid4().bytes[:12], [
+				(attrXorPeerAddress, encode_xor_address(peer)),
+				(attrData, data)
+			], False)
+	
+	# Sends data from a client's relay socket to a peer, provided the client has given the peer permission
+	def relay_to_peer(self, allocation, peer, data):
+		if peer[0] in allocation['permissions']:
+			allocation['socket'].sendto(data, peer)
+	
+	# Creates an allocation for a client, with its own relay socket
+	# (A retransmission of the request that created an existing allocation receives the original response, since the client may not have
+	# received it, whereas any other Allocate request for an existing allocation is a mismatch)
+	def allocate(self, clientAddress, values, transactionID):
+		allocation = self.allocations.get(clientAddress, None)
+		if allocation is not None:
+			if allocation['transaction'] == transactionID:
+				return True, allocation['response']
+			return False, [self.error(437, 'Allocation Mismatch')]
+		requestedTransport = values.get(attrRequestedTransport, b'')
+		if len(requestedTransport) < 1:
+			return False, [self.error(400, 'Bad Request')]
+		if requestedTransport[0] != 17:
+			return False, [self.error(442, 'Unsupported Transport Protocol')]
+		
+		relaySocket = socket.socket(socket.AF_INET, socket.SOCK_DGRAM)
+		relaySocket.bind((self.relayHost, 0))
+		self.selector.register(relaySocket, selectors.EVENT_READ, clientAddress)
+		
+		# Allocations last for at least the default lifetime, even if the client requests a shorter one
+		lifetime = max(self.lifetime(values), defaultLifetime)
+		response = [
+			(attrXorRelayedAddress, encode_xor_address(relaySocket.getsockname())),
+			(attrXorMappedAddress, encode_xor_address(clientAddress)),
+			(attrLifetime, struct.pack('!I', lifetime))
+		]
+		self.allocations[clientAddress] = {
+			'socket': relaySocket,
+			'expires': time.monotonic() + lifetime,
+			'transaction': transactionID,
+			'response': response,
+			'permissions': {},
+			'channels': {},
+			'peers': {}
+		}
+		
+		return True, response
+	
+	# Refreshes or deletes a client's allocation
+	def refresh(self, clientAddress, values):
+		allocation = self.allocations.get(clientAddress, None)
+		if allocation is None:
+			return False, [self.error(437, 'Allocation Mismatch')]
+		
+		lifetime = self.lifetime(values)
+		if lifetime == 0:
+			self.release(clientAddress)
+		else:
+			allocation['expires'] = time.monotonic() + lifetime
+		return True, [(attrLifetime, struct.pack('!I', lifetime))]
+	
+	# Gives a peer address permission to exchange data with a client's relay socket
+	def create_permission(self, clientAddress, values):
+		allocation = self.allocations.get(clientAddress, None)
+		peer = decode_xor_address(values.get(attrXorPeerAddress, b''))
+		if allocation is None:
+			return False, [self.error(437, 'Allocation Mismatch')]
+		if peer is None:
+			return False, [self.error(400, 'Bad Request')]
+		
+		allocation['permissions'][peer[0]] = time.monotonic() + permissionLifetime
+		return True, []
+	
+	# Binds a channel number to a peer address, which also gives the peer permission
+	def channel_bind(self, clientAddress, values):
+		allocation = self.allocations.get(clientAddress, None)
+		peer = decode_xor_address(values.get(attrXorPeerAddress, b''))
+		channel = struct.unpack('!H', values[attrChannelNumber][:2])[0] if len(values.get(attrChannelNumber, b'')) >= 2 else None
+		if allocation is None:
+			return False, [self.error(437, 'Allocation Mismatch')]
+		if peer is None or channel is None or channel < 0x4000 or channel > 0x7FFF:
+			return False, [self.error(400, 'Bad Request')]
+		
+		# A channel can only be rebound to the peer it is already bound to, and a peer can only be bound to one channel
+		existingPeer = allocation['channels'].get(channel, (None, None))[0]
+		if (existingPeer is not None and existingPeer != peer) or allocation['peers'].get(peer, channel) != channel:
+			return False, [self.error(400, 'Bad Request')]
+		
+		now = time.monotonic()
+		allocation['channels'][channel] = (peer, now + channelLifetime)
+		allocation['peers'][peer] = channel
+		allocation['permissions'][peer[0]] = now + permissionLifetime
+		return True, []
+	
+	# Verifies the USERNAME, REALM, NONCE and MESSAGE-INTEGRITY attributes of a request against our long-term credentials
+	# (The HMAC covers the message up to the MESSAGE-INTEGRITY attribute, with a length field that includes the attribute itself)
+	def authenticate(self, data, attributes):
+		values = {attrType: value for attrType, value, _ in attributes}
+		integrity = [(value, offset) for attrType, value, offset in attributes if attrType == attrMessageIntegrity]
+		if len(integrity) == 0 or values.get(attrUsername, b'').decode('utf-8', 'replace') != self.username:
+			return False
+		if values.get(attrRealm, b'').decode('utf-8', 'replace') != self.realm or values.get(attrNonce, b'').decode('utf-8', 'replace') != self.nonce:
+			return False
+		
+		value, offset = integrity[0]
+		signed = data[:2] + struct.pack('!H', offset - 20 + 24) + data[4:offset]
+		return hmac.compare_digest(hmac.new(self.key, signed, sha1).digest(), value)
+	
+	# Sends a STUN message to a client, adding a MESSAGE-INTEGRITY attribute if the request was authenticated
+	def respond(self, clientAddress, msgType, transactionID, attributes, sign):
+		body = b''.join(encode_attribute(attrType, value) for attrType, value in attributes)
+		if sign:
+			header = struct.pack('!HHI', msgType, len(body) + 24, magicCookie) + transactionID
+			body += encode_attribute(attrMessageIntegrity, hmac.new(self.key, header + body, sha1).digest())
+		self.socket.sendto(struct.pack('!HHI', msgType, len(body), magicCookie) + transactionID + body, clientAddress)
+	
+	# Returns an ERROR-CODE attribute with the specified code and reason phrase
+	def error(self, code, reason):
+		return (attrErrorCode, struct.pack('!HBB', 0, code // 100, code % 100) + reason.encode('utf-8'))
+	
+	# Returns the lifetime requested by a client, limited to our maximum
+	def lifetime(self, values):
+		if len(values.get(attrLifetime, b'')) >= 4:
+			return min(struct.unpack('!I', values[attrLifetime][:4])[0], maxLifetime)
+		return defaultLifetime
+	
+	# Closes a client's relay socket and forgets its allocation
+	def release(self, clientAddress):
+		allocation = self.allocations.pop(clientAddress)
+		self.selector.unregister(allocation['socket'])
+		allocation['socket'].close()
+	
+	# Removes allocations, permissions and channel bindings whose lifetimes have elapsed
+	def expire(self):
+		now = time.monotonic()
+		for clientAddress, allocation in list(self.allocations.items()):
+			if allocation['expires'] < now:
+				self.release(clientAddress)
+				continue
+			
+			allocation['permissions'] = {ip: expires for ip, expires in allocation['permissions'].items() if expires >= now}
+			for channel, (peer, expires) in list(allocation['channels'].items()):
+				if expires < now:
+					del allocation['channels'][channel]
+					del allocation['peers'][peer]
+
+
+# Run the relay on its own when this script is executed directly, using the default TURN port and the specified credentials
+if __name__ == '__main__':
+	from argparse import ArgumentParser
+	parser = ArgumentParser(description='Minimal TURN relay for measuring relay-only WebRTC limits on a single machine')
+	parser.add_argument('--host', default='127.0.0.1', help='the address to listen and relay on')
+	parser.add_argument('--port', type=int, default=3478, help='the UDP port to listen on')
+	parser.add_argument('--username', default='webrtc', help='the TURN username')
+	parser.add_argument('--password', default='limits', help='the TURN password')
+	args = parser.parse_args()
+	
+	relay = TurnRelay(args.host, args.port, args.username, args.password)
+	relay.start()
+	print('TURN relay listening on {}:{} (username "{}", password "{}")'.format(args.host, args.port, args.username, args.password))
+	try:
+		while True:
+			time.sleep(60)
+	except KeyboardInterrupt:
+		relay.stop()